@@ -0,0 +1,109 @@
+/**
+ * Action Registry - Every action a shortcut can be bound to
+ *
+ * Lists each action once, with its ID, label and default shortcuts, so the
+ * settings page, the content script and the embed bridge all work from the
+ * same list. The content script supplies what each action does (see
+ * ACTION_HANDLERS in content.js). Jumping straight to a speed is bound per
+ * preset instead (see speedPresets in settingsschema.js).
+ *
+ * The user's shortcuts are stored in the `shortcuts` setting as a map of
+ * action ID to a list of bindings, each { key, global }, where key is a
+ * combo or sequence and global lets it fire while typing in text fields.
+ *
+ * @license MIT
+ * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    // Most shortcuts a single action can have
+    const MAX_BINDINGS = 5;
+
+    // Modifiers that can be held with the shortcut of a step action to make
+    // the step fine or coarse, and the setting that holds each step size
+    const STEP_MODIFIERS = {
+        alt: 'fineStep',
+        ctrl: 'coarseStep'
+    };
+
+    /**
+     * Every action, in the order the settings page lists them
+     *
+     * id              - Key in the shortcuts setting, and the command name
+     *                   used by the browser-wide shortcuts (see background.js)
+     * label           - Name shown in the settings page
+     * defaultBindings - Combos bound until the user changes them
+     * hold            - Runs while the shortcut is held, and again on release
+     * steps           - Moves the speed by a step, which STEP_MODIFIERS can resize
+     */
+    const ACTIONS = [
+        { id: 'increaseSpeed', label: 'Increase Speed', defaultBindings: ['shift+.'], steps: true },
+        { id: 'decreaseSpeed', label: 'Decrease Speed', defaultBindings: ['shift+,'], steps: true },
+        { id: 'resetSpeed', label: 'Reset to 1x', defaultBindings: ['shift+?'] },
+        { id: 'toggleSpeed', label: 'Toggle 1x', defaultBindings: [] },
+        { id: 'cyclePresets', label: 'Cycle Presets', defaultBindings: [] },
+        { id: 'holdBoost', label: 'Hold to Boost', defaultBindings: [], hold: true },
+        { id: 'togglePitch', label: 'Toggle Pitch Correction', defaultBindings: [] }
+    ];
+
+    /**
+     * Lists every action
+     * @returns {Array<Object>} The actions, in display order
+     */
+    function getActions() {
+        return ACTIONS.slice();
+    }
+
+    /**
+     * Looks up an action by its ID
+     * @param {string} actionId - The action ID, e.g. 'increaseSpeed'
+     * @returns {Object|null} The action, or null if there's none with that ID
+     */
+    function getAction(actionId) {
+        return ACTIONS.find(action => action.id === actionId) || null;
+    }
+
+    /**
+     * Builds the default value of the shortcuts setting
+     * @returns {Object} Lists of bindings keyed by action ID
+     */
+    function getDefaultShortcuts() {
+        const shortcuts = {};
+        ACTIONS.forEach(action => {
+            shortcuts[action.id] = action.defaultBindings.map(key => ({ key: key, global: false }));
+        });
+        return shortcuts;
+    }
+
+    /**
+     * Gets the bindings of one action from the shortcuts setting
+     *
+     * Actions missing from the setting, such as ones added after the user
+     * last saved their shortcuts, get their default bindings.
+     *
+     * @param {Object} shortcuts - The shortcuts setting
+     * @param {string} actionId - The action ID
+     * @returns {Array<{key: string, global: boolean}>} The action's bindings
+     */
+    function getBindings(shortcuts, actionId) {
+        if (shortcuts && Array.isArray(shortcuts[actionId])) {
+            return shortcuts[actionId];
+        }
+
+        const action = getAction(actionId);
+        return action ? getDefaultShortcuts()[actionId] : [];
+    }
+
+    // Public API
+    window.actionRegistry = {
+        MAX_BINDINGS: MAX_BINDINGS,
+        STEP_MODIFIERS: STEP_MODIFIERS,
+        getActions: getActions,
+        getAction: getAction,
+        getDefaultShortcuts: getDefaultShortcuts,
+        getBindings: getBindings
+    };
+
+})(window);
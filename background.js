@@ -0,0 +1,279 @@
+/**
+ * YouTube Speed Control - Background Script
+ *
+ * Handles the browser-level keyboard shortcuts registered under "commands"
+ * in the manifest. Unlike the page shortcuts in keyhandler.js, these work
+ * while focus is in another tab or browser window, and are routed to the
+ * YouTube tab the user is most likely watching. Also relays shortcuts from
+ * pages that embed a YouTube player to the embedded player's frame, and
+ * settings changes to every player, embedded ones included. Viewing statistics
+ * and channel speeds are saved here too, so only one script ever writes them.
+ *
+ * @license MIT
+ * @version 1.0
+ */
+
+// Chrome runs this file as a service worker, which loads the polyfill itself.
+// Firefox loads the polyfill through the manifest's background scripts list.
+if (typeof importScripts === 'function' && typeof browser === 'undefined') {
+    importScripts('browser-polyfill.js');
+}
+
+// -----------------------------------------------------------------------------
+// CONSTANTS & CONFIGURATION
+// -----------------------------------------------------------------------------
+
+const YOUTUBE_URL_PATTERNS = ['*://*.youtube.com/*'];
+
+// Viewing statistics are kept under their own key, separate from the settings
+const STATS_STORAGE_KEY = 'speedStats';
+const STATS_DAYS_KEPT = 365;
+
+// Last queued storage update (see queueStorageUpdate)
+let storageWrite = Promise.resolve();
+
+// Maps manifest command names to action IDs (see actionregistry.js)
+const COMMAND_ACTIONS = {
+    'speed-up': 'increaseSpeed',
+    'slow-down': 'decreaseSpeed',
+    'reset-speed': 'resetSpeed'
+};
+
+// -----------------------------------------------------------------------------
+// TAB ROUTING
+// -----------------------------------------------------------------------------
+
+/**
+ * Finds the YouTube tab a speed command should be sent to
+ *
+ * Uses the active YouTube tab in the last focused window if there is one.
+ * Otherwise picks an audible YouTube tab, falling back to the most recently
+ * accessed one.
+ *
+ * @returns {Promise<Object|null>} The target tab, or null if no YouTube tab is open
+ */
+function findTargetTab() {
+    return browser.tabs.query({ url: YOUTUBE_URL_PATTERNS, active: true, lastFocusedWindow: true })
+        .then(activeTabs => {
+            if (activeTabs.length > 0) {
+                return activeTabs[0];
+            }
+
+            return browser.tabs.query({ url: YOUTUBE_URL_PATTERNS }).then(tabs => {
+                if (tabs.length === 0) return null;
+
+                const audibleTabs = tabs.filter(tab => tab.audible);
+                const candidates = audibleTabs.length > 0 ? audibleTabs : tabs;
+
+                // Most recently accessed tab first
+                return candidates.reduce((latest, tab) =>
+                    (tab.lastAccessed || 0) > (latest.lastAccessed || 0) ? tab : latest);
+            });
+        });
+}
+
+/**
+ * Handles a browser command by forwarding it to the target YouTube tab
+ * @param {string} command - The command name from the manifest
+ */
+function handleCommand(command) {
+    const action = COMMAND_ACTIONS[command];
+    if (!action) return;
+
+    findTargetTab()
+        .then(tab => {
+            if (!tab) {
+                console.log('YouTube Speed Control: No YouTube tab for command', command);
+                return;
+            }
+
+            return browser.tabs.sendMessage(tab.id, { action: 'speedCommand', command: action });
+        })
+        .catch(error => {
+            console.error('Error handling command:', error);
+        });
+}
+
+/**
+ * Passes a message from the settings popup or a YouTube tab on to every tab
+ *
+ * Every tab is included, not only YouTube ones, as players embedded in
+ * other sites run content.js in their frames (tabs.sendMessage reaches
+ * every frame). Tabs without the content script just fail to answer.
+ *
+ * @param {Object} message - The message for content.js
+ */
+function relayToTabs(message) {
+    browser.tabs.query({})
+        .then(tabs => {
+            tabs.forEach(tab => {
+                browser.tabs.sendMessage(tab.id, message).catch(() => {});
+            });
+        })
+        .catch(error => {
+            console.error('Error relaying message to tabs:', error);
+        });
+}
+
+/**
+ * Handles messages from content scripts and the settings popup
+ *
+ * Relays settings changes and the popup opening or closing to every tab
+ * (see relayToTabs), and shortcuts captured by embedbridge.js in a page
+ * that hosts an embedded player to the YouTube frames in that same tab.
+ * Saves viewing statistics and channel speeds (see queueStorageUpdate),
+ * answering once they are written.
+ *
+ * @param {Object} message - The message object
+ * @param {Object} sender - Information about the sending script
+ */
+function handleMessage(message, sender) {
+    if (message.action === 'settingsChanged') {
+        relayToTabs({ action: 'settingsUpdated', settings: message.settings });
+        return;
+    }
+    if (message.action === 'settingsOpened' || message.action === 'settingsClosed') {
+        relayToTabs({ action: message.action });
+        return;
+    }
+
+    // Statistics from YouTube tabs, and the popup's Clear Statistics button
+    if (message.action === 'recordStats') {
+        return queueStatsWrite(stored => addRecordedStats(stored, message.stats));
+    }
+    if (message.action === 'clearStats') {
+        return queueStatsWrite(stored => {
+            stored.days = {};
+            stored.channels = {};
+        });
+    }
+
+    // Channel speeds remembered by YouTube tabs or edited in the popup
+    if (message.action === 'updateChannelSpeeds') {
+        return updateChannelSpeeds(message.changes);
+    }
+
+    if (message.action !== 'forwardShortcut' || !sender.tab) return;
+
+    // release is set when a held shortcut (hold-to-boost) is let go, and
+    // modifier when a step modifier was held with it
+    const shortcut = {
+        action: 'hostShortcut',
+        combo: message.combo,
+        count: message.count,
+        release: message.release,
+        modifier: message.modifier
+    };
+
+    browser.tabs.sendMessage(sender.tab.id, shortcut)
+        .catch(error => {
+            console.log(`Could not forward shortcut to tab ${sender.tab.id}: ${error.message}`);
+        });
+}
+
+// -----------------------------------------------------------------------------
+// SHARED STORAGE WRITES
+// -----------------------------------------------------------------------------
+
+/**
+ * Queues a read-modify-write of a value several tabs and the popup change
+ *
+ * Each update starts from the result of the one before, so changes sent
+ * from several places at once are never lost.
+ *
+ * @param {string} key - The storage.local key
+ * @param {*} defaultValue - Value to start from if nothing is stored yet
+ * @param {Function} update - Changes the stored value in place
+ * @returns {Promise<*>} The value as saved, or undefined if saving failed
+ */
+function queueStorageUpdate(key, defaultValue, update) {
+    storageWrite = storageWrite
+        .then(() => browser.storage.local.get({ [key]: defaultValue }))
+        .then(result => {
+            const value = result[key];
+            update(value);
+            return browser.storage.local.set({ [key]: value }).then(() => value);
+        })
+        .catch(error => {
+            console.error(`Failed to save ${key}:`, error);
+        });
+    return storageWrite;
+}
+
+// -----------------------------------------------------------------------------
+// STATISTICS
+// -----------------------------------------------------------------------------
+
+/**
+ * Queues a change to the stored viewing statistics
+ * @param {Function} update - Changes the stored statistics in place
+ * @returns {Promise<Object|undefined>} The statistics as saved
+ */
+function queueStatsWrite(update) {
+    return queueStorageUpdate(STATS_STORAGE_KEY, { days: {}, channels: {} }, stored => {
+        stored.days = stored.days || {};
+        stored.channels = stored.channels || {};
+
+        update(stored);
+
+        // Only keep a year of daily history
+        const days = Object.keys(stored.days).sort();
+        days.slice(0, Math.max(0, days.length - STATS_DAYS_KEPT)).forEach(day => {
+            delete stored.days[day];
+        });
+    });
+}
+
+/**
+ * Adds viewing time recorded by a tab to the stored statistics
+ * @param {Object} stored - The stored statistics ({ days, channels })
+ * @param {Object} recorded - Time recorded since the tab's last batch, in the same shape
+ */
+function addRecordedStats(stored, recorded) {
+    Object.keys(recorded.days || {}).forEach(day => {
+        const entry = stored.days[day] || (stored.days[day] = { watched: 0, content: 0 });
+        entry.watched += recorded.days[day].watched;
+        entry.content += recorded.days[day].content;
+    });
+
+    Object.keys(recorded.channels || {}).forEach(id => {
+        const channel = recorded.channels[id];
+        const entry = stored.channels[id] || (stored.channels[id] = { name: channel.name, watched: 0, content: 0 });
+        entry.name = channel.name || entry.name;
+        entry.watched += channel.watched;
+        entry.content += channel.content;
+    });
+}
+
+// -----------------------------------------------------------------------------
+// CHANNEL SPEEDS
+// -----------------------------------------------------------------------------
+
+/**
+ * Applies changes to the remembered channel speeds
+ *
+ * A null entry forgets the channel. An entry without a name (an edit in
+ * the popup) only updates a channel that is still remembered.
+ *
+ * @param {Object} changes - Map of channel ID/handle to { name, speed } or null
+ * @returns {Promise<Object|undefined>} All channel speeds as saved
+ */
+function updateChannelSpeeds(changes) {
+    return queueStorageUpdate('channelSpeeds', {}, channelSpeeds => {
+        Object.keys(changes).forEach(id => {
+            const entry = changes[id];
+            if (entry === null) {
+                delete channelSpeeds[id];
+            } else if (entry.name || channelSpeeds[id]) {
+                channelSpeeds[id] = { ...channelSpeeds[id], ...entry };
+            }
+        });
+    });
+}
+
+// -----------------------------------------------------------------------------
+// STARTUP SEQUENCE
+// -----------------------------------------------------------------------------
+
+browser.commands.onCommand.addListener(handleCommand);
+browser.runtime.onMessage.addListener(handleMessage);
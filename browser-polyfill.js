@@ -40,6 +40,36 @@
                             });
                         });
                     }
+                },
+                // Synced across the user's browsers (see settingsstorage.js)
+                sync: {
+                    get: function(keys) {
+                        return new Promise((resolve, reject) => {
+                            chrome.storage.sync.get(keys, (result) => {
+                                if (chrome.runtime.lastError) {
+                                    reject(chrome.runtime.lastError);
+                                } else {
+                                    resolve(result);
+                                }
+                            });
+                        });
+                    },
+                    set: function(items) {
+                        return new Promise((resolve, reject) => {
+                            chrome.storage.sync.set(items, () => {
+                                if (chrome.runtime.lastError) {
+                                    reject(chrome.runtime.lastError);
+                                } else {
+                                    resolve();
+                                }
+                            });
+                        });
+                    }
+                },
+                onChanged: {
+                    addListener: function(listener) {
+                        chrome.storage.onChanged.addListener(listener);
+                    }
                 }
             },
             
@@ -69,14 +99,53 @@
                 }
             },
             
+            // Commands API (keyboard shortcuts registered in the manifest)
+            commands: {
+                getAll: function() {
+                    return new Promise((resolve, reject) => {
+                        chrome.commands.getAll((commands) => {
+                            if (chrome.runtime.lastError) {
+                                reject(chrome.runtime.lastError);
+                            } else {
+                                resolve(commands);
+                            }
+                        });
+                    });
+                },
+                onCommand: {
+                    addListener: function(listener) {
+                        chrome.commands.onCommand.addListener(listener);
+                    }
+                }
+            },
+            
             // Runtime API
             runtime: {
+                getURL: function(path) {
+                    return chrome.runtime.getURL(path);
+                },
+                sendMessage: function(message) {
+                    return new Promise((resolve, reject) => {
+                        chrome.runtime.sendMessage(message, (response) => {
+                            if (chrome.runtime.lastError) {
+                                reject(chrome.runtime.lastError);
+                            } else {
+                                resolve(response);
+                            }
+                        });
+                    });
+                },
                 onMessage: {
                     addListener: function(listener) {
                         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
                             // Process the message with the listener
                             const response = listener(message, sender);
                             
+                            // Send a returned promise's result back, as Firefox does
+                            if (response && typeof response.then === 'function') {
+                                response.then(sendResponse, () => sendResponse());
+                            }
+                            
                             // Return true for async response handling
                             return true;
                         });
@@ -85,4 +154,4 @@
             }
         };
     }
-})(window);
\ No newline at end of file
+})(typeof window !== 'undefined' ? window : self); // self in the Chrome service worker
\ No newline at end of file
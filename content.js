@@ -12,42 +12,400 @@
 // CONSTANTS & CONFIGURATION
 // -----------------------------------------------------------------------------
 
-const DEFAULT_SETTINGS = {
-    speedIncrement: 0.25,
-    increaseSpeedKey: 'shift+.',
-    decreaseSpeedKey: 'shift+,',
-    resetSpeedKey: 'shift+?',
-    lastSpeed: 1.0,
-    persistSpeed: false,
-    showResetButton: true,
-    enableSpeedPopup: true,
-    showInitialSpeedPopup: false,
-    popupPosition: 'center', // Options: 'center', 'top-left', 'top-right', 'bottom-left', 'bottom-right'
-    enableShortcuts: true
-};
+// Defaults for every setting (see settingsschema.js)
+const DEFAULT_SETTINGS = settingsSchema.getDefaults();
 
 const SPEED_INDICATOR_DISPLAY_TIME = 800; // ms
+const CHAPTER_NOTICE_DISPLAY_TIME = 2000; // ms, long enough to read the chapter title
 const TRANSITION_DURATION = 150; // ms for speed transition effects
-const MAX_SPEED = 10;
+const MAX_SPEED = settingsSchema.MAX_SPEED;
+
+// Speeds outside which the browser mutes the audio
+const IS_FIREFOX = /Firefox\//.test(navigator.userAgent);
+const AUDIBLE_SPEEDS = IS_FIREFOX ? { min: 0.25, max: 4 } : { min: 0.0625, max: 16 };
+// Chrome refuses to play below 0.0625x at all, so slower speeds are raised to that
+const MIN_PLAYABLE_SPEED = IS_FIREFOX ? 0 : 0.0625;
+const SILENCE_CHECK_INTERVAL = 50; // ms between audio level samples
+
+// Viewing statistics are written by the background script (see flushStats)
+const STATS_FLUSH_INTERVAL = 30000; // ms between writes of recorded viewing time
+const STATS_MAX_GAP = 5; // s, longer gaps between time updates aren't counted as watching
+
+// Shorts keep several <video> elements around; only the active reel is playing
+const SHORTS_ACTIVE_REEL_SELECTOR = 'ytd-reel-video-renderer[is-active]';
+const SHORTS_ACTIONS_SELECTOR = `${SHORTS_ACTIVE_REEL_SELECTOR} #actions`;
+
+// Chapter list in the watch page's chapters panel (not the auto-generated "key moments")
+const CHAPTER_MARKER_SELECTOR = '[target-id="engagement-panel-macro-markers-description-chapters"] ytd-macro-markers-list-item-renderer';
+
+// The watch player keeps playing in the miniplayer while browsing other pages
+const MINIPLAYER_ACTIVE_SELECTOR = 'ytd-app[miniplayer-is-active], ytd-miniplayer[active]';
+
+// Hover previews on the home feed and search results play in their own player
+const INLINE_PREVIEW_SELECTOR = '#inline-preview-player, ytd-video-preview';
+
+// Elements whose arrival or removal can change the player video or where the
+// speed button goes (see setupNavigationObserver)
+const PLAYER_NODE_SELECTOR = 'video, .ytp-right-controls, .ytp-miniplayer-controls, #actions, .ytp-speed-reset-button';
+
+// Native playbackRate accessor, used to apply a rate without touching the user's speed
+const NATIVE_PLAYBACK_RATE = Object.getOwnPropertyDescriptor(HTMLMediaElement.prototype, 'playbackRate');
+
+// Session for the video currently being controlled (see createPlayerSession)
+let currentSession = null;
+
+// Video the user last started or clicked on (see trackVideoInteraction)
+let lastInteractedVideo = null;
+
+// Speed the toggle action returns to from 1x (see toggleNormalSpeed)
+let speedBeforeToggle = null;
+
+// -----------------------------------------------------------------------------
+// PAGE & PLAYER DETECTION
+// -----------------------------------------------------------------------------
+
+/**
+ * Checks whether the current page is a regular watch page
+ * @returns {boolean} True on youtube.com/watch
+ */
+function isWatchPage() {
+    return window.location.href.includes('youtube.com/watch');
+}
+
+/**
+ * Checks whether the current page is a Shorts page
+ * @returns {boolean} True on youtube.com/shorts/...
+ */
+function isShortsPage() {
+    return window.location.href.includes('youtube.com/shorts/');
+}
+
+/**
+ * Checks whether the current page is an embedded player
+ * 
+ * Embeds on other sites load youtube.com/embed/ or
+ * youtube-nocookie.com/embed/ inside an iframe.
+ * 
+ * @returns {boolean} True on an /embed/ page
+ */
+function isEmbedPage() {
+    return /^https?:\/\/([^/]+\.)?youtube(-nocookie)?\.com\/embed\//.test(window.location.href);
+}
+
+/**
+ * Checks whether the extension should control playback on this page
+ * @returns {boolean} True on watch, Shorts and embed pages
+ */
+function isSupportedPage() {
+    return isWatchPage() || isShortsPage() || isEmbedPage();
+}
+
+/**
+ * Checks whether the watch player is currently shown as the miniplayer
+ * @returns {boolean} True while the miniplayer is open
+ */
+function isMiniplayerActive() {
+    return document.querySelector(MINIPLAYER_ACTIVE_SELECTOR) !== null;
+}
+
+/**
+ * Checks whether a player element is minimized into the miniplayer
+ * @param {HTMLElement|null} videoPlayer - The .html5-video-player element
+ * @returns {boolean} True if the player is rendered as the miniplayer
+ */
+function isPlayerMinimized(videoPlayer) {
+    return !!videoPlayer && videoPlayer.classList.contains('ytp-player-minimized') && isMiniplayerActive();
+}
+
+/**
+ * Finds the video element the user is currently watching
+ * 
+ * On Shorts this is the video inside the active reel rather than the
+ * first <video> in the document, since YouTube preloads neighbouring shorts.
+ * 
+ * @returns {HTMLVideoElement|null} The active video element
+ */
+function getActiveVideo() {
+    if (isShortsPage()) {
+        return document.querySelector(`${SHORTS_ACTIVE_REEL_SELECTOR} video`) ||
+               document.querySelector('#shorts-player video');
+    }
+    
+    return document.querySelector('#movie_player video') || document.querySelector('video');
+}
+
+/**
+ * Finds the video a player session should be created for
+ * 
+ * On watch, Shorts and embed pages this is the active video. On any other
+ * page it is only the miniplayer's video, if the miniplayer is open.
+ * 
+ * @returns {HTMLVideoElement|null} The video to control, or null
+ */
+function getPageVideo() {
+    if (!isSupportedPage() && !isMiniplayerActive()) return null;
+    
+    return getActiveVideo();
+}
+
+/**
+ * Checks whether a video is currently playing
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {boolean} True if the video is playing
+ */
+function isVideoPlaying(video) {
+    return !video.paused && !video.ended;
+}
+
+/**
+ * Finds the video a shortcut or command should act on
+ * 
+ * Resolved each time an action runs rather than when shortcuts are bound,
+ * since a page can hold several videos: the main player, the miniplayer,
+ * hover previews and ads. Prefers the video the user last started or
+ * clicked if it's still playing, then any playing video other than a
+ * hover preview, then the last interacted-with or active video.
+ * 
+ * @returns {HTMLVideoElement|null} The target video element
+ */
+function getTargetVideo() {
+    const recent = lastInteractedVideo && lastInteractedVideo.isConnected ? lastInteractedVideo : null;
+    if (recent && isVideoPlaying(recent)) return recent;
+    
+    const playing = Array.from(document.querySelectorAll('video')).find(video =>
+        isVideoPlaying(video) && !video.closest(INLINE_PREVIEW_SELECTOR));
+    if (playing) return playing;
+    
+    return recent || (currentSession && currentSession.video) || getActiveVideo();
+}
+
+/**
+ * Remembers which video the user most recently interacted with
+ * 
+ * A click inside a player or the user starting playback marks that video.
+ * Hover previews start playing on their own, so their autoplay doesn't
+ * count as an interaction (clicking one still does).
+ */
+function trackVideoInteraction() {
+    // Media events don't bubble, so listen in the capture phase
+    document.addEventListener('play', (e) => {
+        const video = e.target;
+        if (!(video instanceof HTMLVideoElement) || video.closest(INLINE_PREVIEW_SELECTOR)) return;
+        
+        lastInteractedVideo = video;
+    }, true);
+    
+    document.addEventListener('pointerdown', (e) => {
+        const videoPlayer = e.target instanceof Element && e.target.closest('.html5-video-player');
+        const video = videoPlayer && videoPlayer.querySelector('video');
+        if (video) lastInteractedVideo = video;
+    }, true);
+}
+
+/**
+ * Finds the YouTube player element that contains a video
+ * @param {HTMLVideoElement|null} video - The video element
+ * @returns {HTMLElement|null} The .html5-video-player element
+ */
+function getPlayerElement(video) {
+    return (video && video.closest('.html5-video-player')) || document.querySelector('.html5-video-player');
+}
+
+// -----------------------------------------------------------------------------
+// PLAYER SESSION
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates a session for one video element
+ * 
+ * The session owns everything set up to control that video: event
+ * listeners, observers, timers, key bindings and injected DOM elements.
+ * Disposing it tears all of them down, so navigating between videos or
+ * YouTube swapping the <video> element never leaves stale handlers behind
+ * acting on a detached video.
+ * 
+ * @param {HTMLVideoElement} video - The video element this session controls
+ * @returns {Object} The session
+ */
+function createPlayerSession(video) {
+    const cleanups = [];
+    const featureCleanups = new Map();
+    let bindingIds = [];
+    let disposed = false;
+    
+    const session = {
+        video: video,
+        
+        /**
+         * Whether the session has been disposed
+         * @returns {boolean}
+         */
+        isDisposed() {
+            return disposed;
+        },
+        
+        /**
+         * Adds an event listener that is removed on dispose
+         * @returns {Function} Removes the listener early
+         */
+        addEventListener(target, type, listener, options) {
+            const remove = () => target.removeEventListener(type, listener, options);
+            target.addEventListener(type, listener, options);
+            cleanups.push(remove);
+            return remove;
+        },
+        
+        /**
+         * Starts a MutationObserver that is disconnected on dispose
+         */
+        observe(observer, target, options) {
+            observer.observe(target, options);
+            cleanups.push(() => observer.disconnect());
+            return observer;
+        },
+        
+        /**
+         * Schedules a timeout that never fires after dispose
+         */
+        setTimeout(callback, delay) {
+            const id = setTimeout(() => {
+                if (!disposed) callback();
+            }, delay);
+            cleanups.push(() => clearTimeout(id));
+            return id;
+        },
+        
+        /**
+         * Starts an interval that is cleared on dispose
+         */
+        setInterval(callback, delay) {
+            const id = setInterval(callback, delay);
+            cleanups.push(() => clearInterval(id));
+            return id;
+        },
+        
+        /**
+         * Binds a shortcut through keyHandler, unbound on dispose
+         */
+        bindKey(combo, callback, options) {
+            const id = keyHandler.bind(combo, callback, options);
+            if (id !== -1) bindingIds.push(id);
+            return id;
+        },
+        
+        /**
+         * Unbinds every shortcut bound through this session
+         */
+        unbindKeys() {
+            bindingIds.forEach(id => keyHandler.unbind(id));
+            bindingIds = [];
+        },
+        
+        /**
+         * Registers an injected element to be removed on dispose
+         */
+        addElement(element) {
+            cleanups.push(() => element.remove());
+            return element;
+        },
+        
+        /**
+         * Registers a custom cleanup step
+         */
+        onDispose(callback) {
+            cleanups.push(callback);
+        },
+        
+        /**
+         * Sets the cleanup step of a feature that may be set up more than once
+         * per session, running the step it replaces first so repeated setups
+         * don't pile up cleanups
+         * @param {string} name - Feature name, e.g. 'resetButton'
+         * @param {Function} callback - Cleanup step
+         */
+        setCleanup(name, callback) {
+            const previous = featureCleanups.get(name);
+            featureCleanups.set(name, callback);
+            if (previous) previous();
+        },
+        
+        /**
+         * Tears down everything owned by the session (in reverse order)
+         */
+        dispose() {
+            if (disposed) return;
+            disposed = true;
+            
+            session.unbindKeys();
+            
+            featureCleanups.forEach((callback, name) => {
+                try {
+                    callback();
+                } catch (e) {
+                    console.warn(`YouTube Speed Control: Cleanup of ${name} failed:`, e);
+                }
+            });
+            featureCleanups.clear();
+            
+            while (cleanups.length > 0) {
+                try {
+                    cleanups.pop()();
+                } catch (e) {
+                    console.warn('YouTube Speed Control: Cleanup failed:', e);
+                }
+            }
+        }
+    };
+    
+    return session;
+}
+
+/**
+ * Finds the session that controls a video
+ * @param {HTMLVideoElement|null} video - The video element
+ * @returns {Object|null} The session, or null if the video has none (e.g. a hover preview)
+ */
+function getSessionForVideo(video) {
+    return currentSession && !currentSession.isDisposed() && currentSession.video === video ? currentSession : null;
+}
+
+/**
+ * Disposes the current session, if any
+ */
+function disposeCurrentSession() {
+    if (!currentSession) return;
+    
+    currentSession.dispose();
+    currentSession = null;
+}
 
 // -----------------------------------------------------------------------------
 // INPUT & KEYBOARD HANDLING
 // -----------------------------------------------------------------------------
 
 /**
- * Initializes keyboard shortcuts using Hotkeys.js
+ * Initializes keyboard shortcuts for the current session
  * 
  * Sets up key bindings for speed control based on user settings
  * or falls back to default values if settings aren't available.
+ * Bindings belong to the session and are dropped when it's disposed.
  */
 function initializeShortcuts() {
+    const session = currentSession;
+    if (!session) return;
+    
     // Get settings, or use defaults if not available
-    browser.storage.local.get(DEFAULT_SETTINGS).then(settings => {
-        const video = document.querySelector('video');
-        if (!video) return;
+    settingsStorage.get(DEFAULT_SETTINGS).then(settings => {
+        if (session.isDisposed()) return;
         
         // Clear any existing bindings
-        keyHandler.unbindAll();
+        session.unbindKeys();
+        
+        // Apply the sequence timeout and count prefix preference
+        keyHandler.configure({
+            sequenceTimeout: settings.sequenceTimeout,
+            countPrefix: settings.enableCountPrefix
+        });
         
         // Check if shortcuts are enabled
         if (!settings.enableShortcuts) {
@@ -57,26 +415,47 @@ function initializeShortcuts() {
         
         const increment = settings.speedIncrement || DEFAULT_SETTINGS.speedIncrement;
         
-        // Set up the shortcuts with our custom keyHandler
-        keyHandler.bind(settings.increaseSpeedKey, function(e) {
-            // Always use the latest increment value from cached settings
-            const currentIncrement = window._speedControlSettings?.speedIncrement || increment;
-            changeSpeed(video, currentIncrement, true, false, true); // Force display indicator
-            return false; // Prevent default and stop propagation
-        });
-        
-        keyHandler.bind(settings.decreaseSpeedKey, function(e) {
-            // Always use the latest increment value from cached settings
-            const currentIncrement = window._speedControlSettings?.speedIncrement || increment;
-            changeSpeed(video, currentIncrement, false, false, true); // Force display indicator
-            return false; // Prevent default and stop propagation
+        // Bind every shortcut of every action in the registry
+        actionRegistry.getActions().forEach(action => {
+            actionRegistry.getBindings(settings.shortcuts, action.id).forEach(binding => {
+                session.bindKey(binding.key, function(e, count, modifier) {
+                    const video = getTargetVideo();
+                    if (!video) return;
+                    
+                    // Always use the latest cached settings
+                    runAction(action.id, video, {
+                        settings: window._speedControlSettings || settings,
+                        session: session,
+                        count: count,
+                        modifier: modifier
+                    });
+                    return false; // Prevent default and stop propagation
+                }, {
+                    // Global bindings also fire while typing in text fields
+                    scope: binding.global ? 'global' : 'page',
+                    action: action.hold ? 'hold' : 'press',
+                    onRelease: action.hold ? () => releaseAction(action.id, { session: session }) : null,
+                    // Holding Alt or Ctrl as well makes the step fine or coarse
+                    stepModifiers: action.steps ? Object.keys(actionRegistry.STEP_MODIFIERS) : [],
+                    // Only steps are repeated by a count prefix
+                    counted: !!action.steps
+                });
+            });
         });
         
-        keyHandler.bind(settings.resetSpeedKey, function(e) {
-            // Always use the latest increment value from cached settings
-            const currentIncrement = window._speedControlSettings?.speedIncrement || increment;
-            changeSpeed(video, currentIncrement, false, true, true); // Force display indicator
-            return false; // Prevent default and stop propagation
+        // Direct-jump shortcuts for each preset that has a key
+        const presets = Array.isArray(settings.speedPresets) ? settings.speedPresets : [];
+        presets.forEach(preset => {
+            if (!preset.key) return;
+            
+            session.bindKey(preset.key, function(e) {
+                const video = getTargetVideo();
+                if (!video) return;
+                
+                const currentIncrement = window._speedControlSettings?.speedIncrement || increment;
+                changeSpeed(video, currentIncrement, false, false, true, preset.speed);
+                return false; // Prevent default and stop propagation
+            }, { scope: preset.global ? 'global' : 'page' });
         });
         
         console.log('YouTube Speed Control: Shortcuts initialized', settings);
@@ -85,6 +464,167 @@ function initializeShortcuts() {
     });
 }
 
+/**
+ * What each action in the registry does (see actionregistry.js)
+ * 
+ * Handlers receive the target video and a context with the current
+ * settings, the player session, the repeat count typed before the
+ * shortcut and the step modifier held with it. Hold actions also have a
+ * handler in ACTION_RELEASE_HANDLERS.
+ */
+const ACTION_HANDLERS = {
+    // Repeated by a typed count prefix, and made fine or coarse by a step modifier
+    increaseSpeed: (video, context) => stepSpeed(video, true, context),
+    decreaseSpeed: (video, context) => stepSpeed(video, false, context),
+    resetSpeed: (video, context) => changeSpeed(video, context.settings.speedIncrement, false, true, true),
+    toggleSpeed: (video, context) => toggleNormalSpeed(video, context.settings),
+    // Cycle through the presets in the user's order
+    cyclePresets: (video, context) => {
+        const nextSpeed = getNextPresetSpeed(context.settings.speedPresets, video.playbackRate);
+        if (nextSpeed === null) return;
+        
+        changeSpeed(video, context.settings.speedIncrement, false, false, true, nextSpeed);
+    },
+    // The boost speed only lasts while the key or button is held
+    holdBoost: (video, context) => {
+        if (context.session) startHoldBoost(context.session, video);
+    },
+    togglePitch: (video, context) => togglePitchCorrection(video, context.settings)
+};
+
+// Run when the shortcut of a hold action is released
+const ACTION_RELEASE_HANDLERS = {
+    holdBoost: context => endHoldBoost(context.session)
+};
+
+/**
+ * Runs an action from the registry on a video
+ * @param {string} actionId - The action ID, e.g. 'increaseSpeed'
+ * @param {HTMLVideoElement} video - The video to act on
+ * @param {Object} context - { settings, session, count, modifier }; settings
+ *                           default to the cached ones and count to 1
+ */
+function runAction(actionId, video, context) {
+    const handler = ACTION_HANDLERS[actionId];
+    if (!handler || !video) return;
+    
+    handler(video, {
+        settings: window._speedControlSettings || DEFAULT_SETTINGS,
+        session: null,
+        count: 1,
+        modifier: null,
+        ...context
+    });
+}
+
+/**
+ * Moves the speed up or down for the increase and decrease actions
+ * 
+ * With a step modifier held the step is the fine or coarse step size,
+ * added or subtracted whatever the step mode. Otherwise it is a normal step.
+ * 
+ * @param {HTMLVideoElement} video - The video to change
+ * @param {boolean} increase - Whether to increase (true) or decrease (false) speed
+ * @param {Object} context - The action context (see runAction)
+ * @returns {number} The new playback speed
+ */
+function stepSpeed(video, increase, context) {
+    const modifierStep = getModifierStep(context.modifier, context.settings);
+    if (modifierStep) {
+        return changeSpeedBySteps(video, modifierStep, increase, context.count, true);
+    }
+    
+    return changeSpeedBySteps(video, context.settings.speedIncrement, increase, context.count);
+}
+
+/**
+ * Gets the step size a step modifier stands for
+ * @param {string|null} modifier - The held step modifier, e.g. 'alt'
+ * @param {Object} settings - The current settings
+ * @returns {number|null} The fine or coarse step, or null for a normal step
+ */
+function getModifierStep(modifier, settings) {
+    const settingName = actionRegistry.STEP_MODIFIERS[modifier];
+    if (!settingName) return null;
+    
+    return settings[settingName] || DEFAULT_SETTINGS[settingName];
+}
+
+/**
+ * Ends a hold action whose shortcut was released
+ * @param {string} actionId - The action ID, e.g. 'holdBoost'
+ * @param {Object} context - { session }
+ */
+function releaseAction(actionId, context) {
+    const handler = ACTION_RELEASE_HANDLERS[actionId];
+    if (handler) handler(context);
+}
+
+/**
+ * Switches between 1x and the speed that was playing before
+ * 
+ * At 1x it returns to the speed the toggle last left, and does nothing
+ * if the toggle hasn't been used yet.
+ * 
+ * @param {HTMLVideoElement} video - The video element to modify
+ * @param {Object} settings - The current settings
+ */
+function toggleNormalSpeed(video, settings) {
+    const currentSpeed = parseFloat(video.playbackRate.toFixed(2));
+    
+    if (currentSpeed !== 1) {
+        speedBeforeToggle = currentSpeed;
+        changeSpeed(video, settings.speedIncrement, false, true, true);
+    } else if (speedBeforeToggle !== null) {
+        changeSpeed(video, settings.speedIncrement, false, false, true, speedBeforeToggle);
+    }
+}
+
+/**
+ * Turns pitch correction on or off and saves the choice
+ * 
+ * The new value goes into the cached settings right away, so the next
+ * speed change doesn't undo it before the settings are reloaded. Once
+ * saved, the background script passes it on to other tabs, and an
+ * open settings popup updates its toggle.
+ * 
+ * @param {HTMLVideoElement} video - The video element to apply it to
+ * @param {Object} settings - The current settings
+ */
+function togglePitchCorrection(video, settings) {
+    const preservePitch = !settings.preservePitch;
+    
+    window._speedControlSettings = { ...(window._speedControlSettings || settings), preservePitch: preservePitch };
+    
+    settingsStorage.set({ preservePitch: preservePitch })
+        .then(() => settingsStorage.get(DEFAULT_SETTINGS))
+        .then(allSettings => browser.runtime.sendMessage({ action: 'settingsChanged', settings: allSettings }))
+        .catch(err => console.error('Failed to save pitch correction:', err));
+    
+    applyPitchCorrection(video, parseFloat(video.playbackRate.toFixed(2)));
+    
+    if (settings.enableSpeedPopup !== false) {
+        showSpeedIndicator(video, preservePitch ? 'Pitch correction on' : 'Pitch correction off');
+    }
+}
+
+/**
+ * Finds the preset that follows the current speed
+ * 
+ * Presets are cycled in the order the user arranged them. If the current
+ * speed isn't one of the presets, cycling starts at the first preset.
+ * 
+ * @param {Array<{speed: number}>} presets - The user's speed presets
+ * @param {number} currentSpeed - The current playback speed
+ * @returns {number|null} The next preset speed, or null if there are no presets
+ */
+function getNextPresetSpeed(presets, currentSpeed) {
+    if (!Array.isArray(presets) || presets.length === 0) return null;
+    
+    const index = presets.findIndex(preset => Math.abs(preset.speed - currentSpeed) < 0.01);
+    return presets[(index + 1) % presets.length].speed;
+}
+
 // -----------------------------------------------------------------------------
 // UI & INDICATOR ELEMENTS
 // -----------------------------------------------------------------------------
@@ -93,47 +633,22 @@ function initializeShortcuts() {
  * Creates or updates the on-screen speed indicator
  * @param {number} speed - The current playback speed
  * @param {boolean} [force=false] - Force display even if showInitialSpeedPopup is disabled
+ * @param {HTMLVideoElement} [video] - The video whose speed changed (defaults to the session's video)
  */
-function updateSpeedMenuDisplay(speed, force = false) {
+function updateSpeedMenuDisplay(speed, force = false, video) {
     // Round to 2 decimal places for display
     speed = Math.round(speed * 100) / 100;
+    
+    const sessionVideo = currentSession ? currentSession.video : getActiveVideo();
+    video = video || sessionVideo;
 
     // Always update the button regardless of popup setting
     // Update the reset button tooltip and speed display if they exist
-    const resetButton = document.querySelector('.ytp-speed-reset-button');
-    if (resetButton) {
-        // Update YouTube-style tooltip attributes
-        resetButton.setAttribute('aria-label', `Playback speed: ${speed}×`);
-        resetButton.setAttribute('data-tooltip-text', `Playback speed: ${speed}×`);
-        
-        // Update the speed value display (SVG text element)
-        const speedValueDisplay = resetButton.querySelector('.speed-value-display');
-        if (speedValueDisplay) {
-            // Create the speed text, removing trailing zeros for cleaner display
-            const speedString = speed.toFixed(2).replace(/\.0+$/, '').replace(/(\.\d+?)0+$/, '$1');
-            // Don't add the "×" symbol to save space
-            const speedText = speedString;
-            
-            // Update text content
-            speedValueDisplay.textContent = speedText;
-            
-            // Dynamically adjust font size based on text length
-            if (speedText.length > 3) {
-                // For longer text like "0.25" or "16.0"
-                speedValueDisplay.setAttribute('font-size', '7');
-            } else if (speedText.length > 2) {
-                // For medium text like "1.5"
-                speedValueDisplay.setAttribute('font-size', '9');
-            } else {
-                // For short text (1-2 chars) like "1" or "2"
-                speedValueDisplay.setAttribute('font-size', '10.5');
-            }
-            
-            // No need to set y-position as we're using SVG alignment attributes
-            
-            // Always use white text to match the circle
-            speedValueDisplay.setAttribute('fill', 'white');
-        }
+    // (the buttons show the session's video, not previews or other players)
+    if (video === sessionVideo) {
+        document.querySelectorAll('.ytp-speed-reset-button').forEach(resetButton => {
+            updateSpeedButtonDisplay(resetButton, speed);
+        });
     }
     
     // Get cached settings if available
@@ -153,28 +668,97 @@ function updateSpeedMenuDisplay(speed, force = false) {
     }
     
     // Create or update a simple text notification
-    const videoPlayer = document.querySelector('.html5-video-player');
+    showSpeedIndicator(video, isSpeedMuted(speed) ? `${speed}× · audio muted at this speed` : `${speed}×`);
+}
+
+/**
+ * Shows a message in the on-screen speed indicator of a video's player
+ * 
+ * Creates the indicator on first use. Callers are responsible for checking
+ * the popup settings before showing anything.
+ * 
+ * @param {HTMLVideoElement} video - The video whose player shows the message
+ * @param {string} text - The message, e.g. "1.5×"
+ * @param {number} [displayTime=SPEED_INDICATOR_DISPLAY_TIME] - How long to show it (ms)
+ */
+function showSpeedIndicator(video, text, displayTime = SPEED_INDICATOR_DISPLAY_TIME) {
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    
+    const videoPlayer = getPlayerElement(video);
     if (!videoPlayer) return;
     
     // Find or create our custom speed indicator
-    let indicator = document.querySelector('.custom-speed-indicator');
+    let indicator = videoPlayer.querySelector('.custom-speed-indicator');
     if (!indicator) {
         indicator = createSpeedIndicator();
         videoPlayer.appendChild(indicator);
+        
+        // Remove the indicator along with the session of the video it belongs to
+        const session = getSessionForVideo(video);
+        if (session) session.setCleanup('speedIndicator', () => indicator.remove());
     }
     
     // Update the text and show the indicator
-    indicator.textContent = `${speed}×`;
+    indicator.textContent = text;
     indicator.style.opacity = '1';
     
-    // Position the indicator based on settings
-    positionSpeedIndicator(indicator, settings.popupPosition || 'center');
+    // The miniplayer is too small for the full-size indicator, so use a compact one in its center
+    const minimized = isPlayerMinimized(videoPlayer);
+    sizeSpeedIndicator(indicator, minimized);
+    positionSpeedIndicator(indicator, minimized ? 'center' : (settings.popupPosition || 'center'));
     
     // Hide after a short delay
     clearTimeout(indicator._hideTimeout);
     indicator._hideTimeout = setTimeout(() => {
         indicator.style.opacity = '0';
-    }, SPEED_INDICATOR_DISPLAY_TIME);
+    }, displayTime);
+}
+
+/**
+ * Updates the speed value and tooltip shown on a speed control button
+ * @param {HTMLElement} resetButton - The speed control button
+ * @param {number} speed - The current playback speed
+ */
+function updateSpeedButtonDisplay(resetButton, speed) {
+    const muted = isSpeedMuted(speed);
+    const label = muted ? `Playback speed: ${speed}× (audio muted at this speed)` : `Playback speed: ${speed}×`;
+    
+    // Update YouTube-style tooltip attributes
+    resetButton.setAttribute('aria-label', label);
+    resetButton.classList.toggle('speed-audio-muted', muted);
+    if (!resetButton.classList.contains('speed-silence-active')) {
+        resetButton.setAttribute('data-tooltip-text', label);
+    }
+    
+    // Update the speed value display (SVG text element)
+    const speedValueDisplay = resetButton.querySelector('.speed-value-display');
+    if (!speedValueDisplay) return;
+    
+    // Create the speed text, removing trailing zeros for cleaner display
+    // e.g., "1.00" becomes "1", "1.50" becomes "1.5"
+    const speedString = speed.toFixed(2).replace(/\.0+$/, '').replace(/(\.\d+?)0+$/, '$1');
+    // Don't add the "×" symbol to save space
+    const speedText = speedString;
+    
+    // SVG text doesn't use innerHTML, just textContent
+    speedValueDisplay.textContent = speedText;
+    
+    // Dynamically adjust font size based on text length
+    if (speedText.length > 3) {
+        // For longer text like "0.25" or "16.0"
+        speedValueDisplay.setAttribute('font-size', '7');
+    } else if (speedText.length > 2) {
+        // For medium text like "1.5"
+        speedValueDisplay.setAttribute('font-size', '9');
+    } else {
+        // For short text (1-2 chars) like "1" or "2"
+        speedValueDisplay.setAttribute('font-size', '10.5');
+    }
+    
+    // No need to set y-position as we're using SVG alignment attributes
+    
+    // White text to match the circle, or amber while the browser mutes the audio
+    speedValueDisplay.setAttribute('fill', muted ? '#ffb300' : 'white');
 }
 
 /**
@@ -195,9 +779,7 @@ function createSpeedIndicator() {
     // Styling for the indicator
     indicator.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
     indicator.style.color = 'white';
-    indicator.style.padding = '10px 16px';
     indicator.style.borderRadius = '5px';
-    indicator.style.fontSize = '20px';
     indicator.style.fontWeight = 'bold';
     indicator.style.zIndex = '2000';
     indicator.style.opacity = '0';
@@ -210,6 +792,16 @@ function createSpeedIndicator() {
     return indicator;
 }
 
+/**
+ * Sizes the speed indicator for a full-size player or the miniplayer
+ * @param {HTMLElement} indicator - The speed indicator element
+ * @param {boolean} compact - Whether to use the smaller miniplayer size
+ */
+function sizeSpeedIndicator(indicator, compact) {
+    indicator.style.padding = compact ? '6px 10px' : '10px 16px';
+    indicator.style.fontSize = compact ? '14px' : '20px';
+}
+
 /**
  * Positions the speed indicator based on the specified position setting
  * 
@@ -289,21 +881,26 @@ function updateYouTubeSpeedMenu(speed) {
 /**
  * Creates and adds a reset speed button to YouTube player controls
  * 
- * Adds a button to the right control bar that resets playback speed to 1x
- * and allows scrolling to adjust speed
+ * Adds a button to the right control bar (or the Shorts action bar) that
+ * resets playback speed to 1x and allows scrolling to adjust speed
  * 
- * @param {HTMLVideoElement} video - The video element
- * @param {number} increment - The speed increment value (for reset function)
+ * @param {Object} session - The player session that owns the button
  */
-function createResetSpeedButton(video, increment) {
-    if (!video) return;
+function createResetSpeedButton(session) {
+    if (!session || session.isDisposed()) return;
     
-    // Check if button already exists
-    if (document.querySelector('.ytp-speed-reset-button')) return;
+    const video = session.video;
+    const increment = DEFAULT_SETTINGS.speedIncrement; // Fallback if settings aren't cached
     
-    // Get the YouTube player right controls
-    const rightControls = document.querySelector('.ytp-right-controls');
-    if (!rightControls) return;
+    // Get the container the button belongs in for this kind of page
+    const placement = findSpeedButtonPlacement(video);
+    if (!placement) return;
+    
+    // Check if button already exists in this container
+    if (placement.container.querySelector('.ytp-speed-reset-button')) return;
+    
+    // Remove buttons left behind in other containers (e.g. a previous short)
+    removeResetSpeedButton();
     
     // Get current speed for tooltip
     const currentSpeed = parseFloat(video.playbackRate.toFixed(2));
@@ -328,44 +925,16 @@ function createResetSpeedButton(video, increment) {
         </svg>
     `;
     
-    // Get the speed value display element 
-    const speedValueDisplay = resetButton.querySelector('.speed-value-display');
+    // The Shorts overlay has no ytp-button styling, so mimic its round action buttons
+    if (placement.isShorts) {
+        styleShortsSpeedButton(resetButton);
+    } else if (placement.isMiniplayer) {
+        styleMiniplayerSpeedButton(resetButton);
+    }
     
     // Update the speed display to show current speed
     function updateSpeedDisplay() {
-        const speed = parseFloat(video.playbackRate.toFixed(2));
-        
-        // Create the speed text, removing trailing zeros for cleaner display
-        // e.g., "1.00" becomes "1", "1.50" becomes "1.5"
-        const speedString = speed.toFixed(2).replace(/\.0+$/, '').replace(/(\.\d+?)0+$/, '$1');
-        // Don't add the "×" symbol to save space
-        const speedText = speedString;
-        
-        // SVG text doesn't use innerHTML, just textContent
-        speedValueDisplay.textContent = speedText;
-        
-        // Update the tooltip and aria-label
-        resetButton.setAttribute('aria-label', `Playback speed: ${speed}×`);
-        
-        // Update the data attributes for YouTube's native tooltip system
-        resetButton.setAttribute('data-tooltip-text', `Playback speed: ${speed}×`);
-        
-        // Dynamically adjust font size based on text length
-        if (speedText.length > 3) {
-            // For longer text like "0.25" or "16.0"
-            speedValueDisplay.setAttribute('font-size', '7');
-        } else if (speedText.length > 2) {
-            // For medium text like "1.5"
-            speedValueDisplay.setAttribute('font-size', '9');
-        } else {
-            // For short text (1-2 chars) like "1" or "2"
-            speedValueDisplay.setAttribute('font-size', '10.5');
-        }
-        
-        // No need to set y-position as we're using SVG alignment attributes
-        
-        // Always use white text to match the circle
-        speedValueDisplay.setAttribute('fill', 'white');
+        updateSpeedButtonDisplay(resetButton, parseFloat(video.playbackRate.toFixed(2)));
     }
     
     // Initial update
@@ -396,11 +965,19 @@ function createResetSpeedButton(video, increment) {
         // Determine scroll direction (up = increase, down = decrease)
         const isIncrease = e.deltaY < 0;
         
-        // Get the current increment value from the cached settings
-        const currentIncrement = window._speedControlSettings?.speedIncrement || increment;
+        // Holding Alt or Ctrl while scrolling makes the step fine or coarse
+        const modifier = e.altKey ? 'alt' : (e.ctrlKey ? 'ctrl' : null);
+        const modifierStep = getModifierStep(modifier, window._speedControlSettings || DEFAULT_SETTINGS);
         
-        // Change speed with latest increment value
-        changeSpeed(video, currentIncrement, isIncrease, false, true); // Force display indicator
+        if (modifierStep) {
+            changeSpeedBySteps(video, modifierStep, isIncrease, 1, true);
+        } else {
+            // Get the current increment value from the cached settings
+            const currentIncrement = window._speedControlSettings?.speedIncrement || increment;
+            
+            // Change speed with latest increment value
+            changeSpeed(video, currentIncrement, isIncrease, false, true); // Force display indicator
+        }
         updateSpeedDisplay();
     };
     
@@ -418,61 +995,160 @@ function createResetSpeedButton(video, increment) {
     });
     
     // Observe video playbackRate changes via the data-custom-speed attribute
-    if (video.hasAttribute('data-custom-speed-enabled')) {
-        observer.observe(video, { 
-            attributes: true, 
-            attributeFilter: ['data-custom-speed'] 
-        });
-    }
+    observer.observe(video, { 
+        attributes: true, 
+        attributeFilter: ['data-custom-speed'] 
+    });
     
-    // Insert before the settings button (or at the start if not found)
-    const settingsButton = rightControls.querySelector('.ytp-settings-button');
-    if (settingsButton) {
-        rightControls.insertBefore(resetButton, settingsButton);
+    // Insert before the reference element (at the start if not found, or at the end in the miniplayer)
+    if (placement.isMiniplayer) {
+        placement.container.appendChild(resetButton);
     } else {
-        rightControls.insertBefore(resetButton, rightControls.firstChild);
+        placement.container.insertBefore(resetButton, placement.before || placement.container.firstChild);
     }
+    
+    // The observer goes with the button, so recreating the button after
+    // YouTube removed it disconnects the old one
+    session.setCleanup('resetButton', () => {
+        observer.disconnect();
+        resetButton.remove();
+    });
+}
+
+/**
+ * Finds where the speed control button should be inserted
+ * 
+ * On regular videos the button goes into the player's right controls,
+ * before the settings button. On Shorts it goes at the top of the active
+ * short's action bar (like, comment, share...). In the miniplayer it goes
+ * after the previous/play/next buttons.
+ * 
+ * @param {HTMLVideoElement} video - The video the button controls
+ * @returns {{container: HTMLElement, before: (HTMLElement|null), isShorts: boolean, isMiniplayer: boolean}|null}
+ */
+function findSpeedButtonPlacement(video) {
+    if (isShortsPage()) {
+        const actions = document.querySelector(SHORTS_ACTIONS_SELECTOR);
+        if (!actions) return null;
+        
+        return { container: actions, before: actions.firstChild, isShorts: true, isMiniplayer: false };
+    }
+    
+    const videoPlayer = getPlayerElement(video);
+    
+    if (isPlayerMinimized(videoPlayer)) {
+        const miniplayerControls = videoPlayer.querySelector('.ytp-miniplayer-controls');
+        if (!miniplayerControls) return null;
+        
+        return { container: miniplayerControls, before: null, isShorts: false, isMiniplayer: true };
+    }
+    
+    const rightControls = videoPlayer && videoPlayer.querySelector('.ytp-right-controls');
+    if (!rightControls) return null;
+    
+    return {
+        container: rightControls,
+        before: rightControls.querySelector('.ytp-settings-button'),
+        isShorts: false,
+        isMiniplayer: false
+    };
+}
+
+/**
+ * Applies inline styles so the speed button matches Shorts action buttons
+ * @param {HTMLButtonElement} resetButton - The speed control button
+ */
+function styleShortsSpeedButton(resetButton) {
+    resetButton.classList.add('ytp-speed-shorts-button');
+    resetButton.style.width = '48px';
+    resetButton.style.height = '48px';
+    resetButton.style.padding = '4px';
+    resetButton.style.marginBottom = '16px';
+    resetButton.style.border = 'none';
+    resetButton.style.borderRadius = '50%';
+    resetButton.style.backgroundColor = 'rgba(0, 0, 0, 0.4)';
+    resetButton.style.cursor = 'pointer';
+}
+
+/**
+ * Applies inline styles so the speed button fits the miniplayer's controls
+ * @param {HTMLButtonElement} resetButton - The speed control button
+ */
+function styleMiniplayerSpeedButton(resetButton) {
+    resetButton.classList.add('ytp-speed-miniplayer-button');
+    resetButton.style.width = '40px';
+    resetButton.style.height = '40px';
+    resetButton.style.verticalAlign = 'middle';
+}
+
+/**
+ * Removes every speed control button from the page
+ */
+function removeResetSpeedButton() {
+    document.querySelectorAll('.ytp-speed-reset-button').forEach(button => button.remove());
+}
+
+// -----------------------------------------------------------------------------
+// SPEED CONTROL FUNCTIONS
+// -----------------------------------------------------------------------------
+
+/**
+ * Limits a speed to the range the user allows
+ * 
+ * Every path that sets the speed ends up here, through changeSpeed or the
+ * playbackRate setter installed by removeSpeedLimit. Speeds the browser
+ * can't play at all are raised to the slowest one it can.
+ * 
+ * @param {number} speed - The requested speed
+ * @param {Object} [settings] - Settings to take the range from, the cached ones by default
+ * @returns {number} The speed within minSpeed and maxSpeed, rounded to 2 decimal places
+ */
+function clampSpeed(speed, settings) {
+    const range = settingsSchema.getSpeedRange(settings || window._speedControlSettings || DEFAULT_SETTINGS);
+    const clamped = Math.max(range.min, Math.min(range.max, speed));
+    return Math.max(MIN_PLAYABLE_SPEED, Math.round(clamped * 100) / 100);
 }
 
-// -----------------------------------------------------------------------------
-// SPEED CONTROL FUNCTIONS
-// -----------------------------------------------------------------------------
-
 /**
  * Changes the video playback speed
  * 
  * Modifies the video's playback rate based on the specified parameters.
- * Handles speed increase, decrease, and reset operations with proper
- * bounds checking and UI updates.
+ * Handles speed increase, decrease, reset and jumping to an exact speed
+ * with proper bounds checking and UI updates.
  * 
  * @param {HTMLVideoElement} video - The video element to modify
  * @param {number} increment - The speed increment value for adjustments
  * @param {boolean} increase - Whether to increase (true) or decrease (false) speed
  * @param {boolean} [reset=false] - Whether to reset to default speed (1.0)
  * @param {boolean} [forceDisplay=false] - Whether to force display of the speed indicator
+ * @param {number} [targetSpeed] - Exact speed to jump to (e.g. a preset), overrides increase/reset
  * @returns {number} The new playback speed value after the change
  */
-function changeSpeed(video, increment, increase, reset = false, forceDisplay = false) {
+function changeSpeed(video, increment, increase, reset = false, forceDisplay = false, targetSpeed) {
     if (!video) return;
     
+    const currentSpeed = parseFloat(video.playbackRate.toFixed(2));
     let newSpeed;
     
-    if (reset) {
+    if (typeof targetSpeed === 'number' && !isNaN(targetSpeed)) {
+        newSpeed = targetSpeed;
+    } else if (reset) {
         newSpeed = 1.0;
     } else {
-        const currentSpeed = parseFloat(video.playbackRate.toFixed(2));
-        newSpeed = increase ? currentSpeed + increment : currentSpeed - increment;
+        newSpeed = getSteppedSpeed(currentSpeed, increment, increase);
     }
     
-    // Ensure speed is within valid range (using increment as minimum) and rounded to 2 decimal places
-    newSpeed = Math.max(increment, Math.min(MAX_SPEED, newSpeed));
-    newSpeed = Math.round(newSpeed * 100) / 100;
+    // Ensure speed is within the user's range and rounded to 2 decimal places
+    newSpeed = clampSpeed(newSpeed);
+    
+    // Optionally keep shortcuts from moving into the muted range
+    newSpeed = capToAudibleSpeed(newSpeed, currentSpeed);
     
     // Apply smooth transition effect
     applySpeedWithTransition(video, newSpeed);
     
     // Display on-screen notification
-    updateSpeedMenuDisplay(newSpeed, forceDisplay);
+    updateSpeedMenuDisplay(newSpeed, forceDisplay, video);
     
     // Try to update YouTube's native speed menu if it's open
     try {
@@ -497,15 +1173,138 @@ function changeSpeed(video, increment, increase, reset = false, forceDisplay = f
     browser.storage.local.set({ lastSpeed: newSpeed })
         .catch(err => console.error('Failed to save speed:', err));
     
+    // Remember the speed for this video's channel if enabled
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    if (settings.rememberChannelSpeed) {
+        saveChannelSpeed(video, newSpeed);
+    }
+    
     return newSpeed;
 }
 
+/**
+ * Works out the speed one step up or down from a speed
+ * 
+ * Linear steps add or subtract the increment, multiplicative steps
+ * multiply or divide by the step multiplier, and ladder steps move to the
+ * next speed in the user's list. The result isn't limited to the speed
+ * range yet (see clampSpeed).
+ * 
+ * @param {number} speed - The speed to step from
+ * @param {number} increment - The speed increment, used by linear steps
+ * @param {boolean} increase - Whether to step up (true) or down (false)
+ * @param {boolean} [linear=false] - Add the increment whatever the step mode
+ * @returns {number} The speed one step away
+ */
+function getSteppedSpeed(speed, increment, increase, linear = false) {
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    
+    if (linear) return increase ? speed + increment : speed - increment;
+    
+    if (settings.stepMode === 'multiplicative') {
+        const multiplier = settings.stepMultiplier || DEFAULT_SETTINGS.stepMultiplier;
+        const next = Math.round((increase ? speed * multiplier : speed / multiplier) * 100) / 100;
+        
+        // Slow speeds can round back to themselves, so always move at least 0.01
+        if (next !== speed) return next;
+        return increase ? speed + 0.01 : speed - 0.01;
+    }
+    
+    if (settings.stepMode === 'ladder' && settings.speedLadder.length > 0) {
+        const rungs = settings.speedLadder
+            .map(rung => Math.round(rung * 100) / 100)
+            .sort((a, b) => a - b);
+        
+        // Speeds between rungs move to the nearest rung in that direction
+        const next = increase
+            ? rungs.find(rung => rung > speed)
+            : rungs.reverse().find(rung => rung < speed);
+        
+        // Beyond the ends of the ladder the speed stays put
+        return next === undefined ? speed : next;
+    }
+    
+    return increase ? speed + increment : speed - increment;
+}
+
+/**
+ * Moves the speed up or down by several steps at once
+ * 
+ * Used by the increase and decrease shortcuts, which can be given a
+ * count prefix (e.g. "3" then increase moves three steps).
+ * The speed indicator is always shown.
+ * 
+ * @param {HTMLVideoElement} video - The video element to modify
+ * @param {number} increment - The speed increment value for adjustments
+ * @param {boolean} increase - Whether to increase (true) or decrease (false) speed
+ * @param {number} [steps=1] - Number of steps to move
+ * @param {boolean} [linear=false] - Add the increment whatever the step mode (see getSteppedSpeed)
+ * @returns {number} The new playback speed
+ */
+function changeSpeedBySteps(video, increment, increase, steps = 1, linear = false) {
+    if (!video) return;
+    
+    let speed = parseFloat(video.playbackRate.toFixed(2));
+    for (let i = 0; i < Math.max(1, steps); i++) {
+        speed = clampSpeed(getSteppedSpeed(speed, increment, increase, linear));
+    }
+    
+    return changeSpeed(video, increment, increase, false, true, speed);
+}
+
+/**
+ * Starts playing at the hold-to-boost speed
+ * 
+ * The boost is applied through the playbackRate setter like any other
+ * speed, but unlike changeSpeed it isn't saved as the last speed or the
+ * channel's speed, since it only lasts while the shortcut is held.
+ * 
+ * @param {Object} session - The player session whose shortcut is held
+ * @param {HTMLVideoElement} video - The video to boost
+ */
+function startHoldBoost(session, video) {
+    if (session.holdBoost) return;
+    
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    session.holdBoost = { video: video, previousSpeed: video.playbackRate };
+    
+    video.playbackRate = capToAudibleSpeed(settings.holdBoostSpeed, video.playbackRate);
+    updateSpeedMenuDisplay(video.playbackRate, true, video);
+}
+
+/**
+ * Ends a hold-to-boost, restoring the exact speed from before it
+ * 
+ * Also runs when the session is disposed while the shortcut is held,
+ * as unbinding a held shortcut releases it.
+ * 
+ * @param {Object} session - The player session whose shortcut was released
+ */
+function endHoldBoost(session) {
+    const boost = session.holdBoost;
+    if (!boost) return;
+    
+    session.holdBoost = null;
+    boost.video.playbackRate = boost.previousSpeed;
+    updateSpeedMenuDisplay(boost.previousSpeed, true, boost.video);
+}
+
 /**
  * Applies speed change with a smooth transition effect
+ * 
+ * A new change cancels a transition still in progress. While one runs,
+ * the speed it is heading for is kept in video._speedTransition (see
+ * getTargetSpeed).
+ * 
  * @param {HTMLVideoElement} video - The video element
  * @param {number} targetSpeed - The target speed to transition to
  */
 function applySpeedWithTransition(video, targetSpeed) {
+    if (video._speedTransition) {
+        cancelAnimationFrame(video._speedTransition.frame);
+        video._speedTransition = null;
+    }
+    
     const currentSpeed = video.playbackRate;
     const startTime = performance.now();
     
@@ -522,19 +1321,29 @@ function applySpeedWithTransition(video, targetSpeed) {
             video.playbackRate = currentValue;
             
             if (progress < 1) {
-                requestAnimationFrame(animateSpeed);
+                video._speedTransition.frame = requestAnimationFrame(animateSpeed);
             } else {
+                video._speedTransition = null;
                 video.playbackRate = targetSpeed;
             }
         }
         
-        requestAnimationFrame(animateSpeed);
+        video._speedTransition = { target: targetSpeed, frame: requestAnimationFrame(animateSpeed) };
     } else {
         // For small changes, just set directly
         video.playbackRate = targetSpeed;
     }
 }
 
+/**
+ * Returns the speed a video is set to, or heading for during a transition
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {number} The target playback speed
+ */
+function getTargetSpeed(video) {
+    return video._speedTransition ? video._speedTransition.target : video.playbackRate;
+}
+
 /**
  * Removes YouTube's default speed limitations
  * 
@@ -542,22 +1351,28 @@ function applySpeedWithTransition(video, targetSpeed) {
  * speeds beyond the normal limits (0.1x to 10x instead of 0.25x to 2x).
  * Uses JavaScript property descriptors to hook into the native API.
  * 
+ * @param {Object} session - The player session for the video
  * @returns {Promise<boolean>} Promise that resolves to true if successful, false otherwise
  */
-function removeSpeedLimit() {
-    const video = document.querySelector('video');
-    if (!video) return Promise.resolve(false);
+function removeSpeedLimit(session) {
+    if (!session || session.isDisposed()) return Promise.resolve(false);
+    
+    const video = session.video;
 
     // Check if we've already applied our speed limiter
     if (video.hasAttribute('data-custom-speed-enabled')) {
+        // The element outlived an earlier session, so only the player hooks
+        // and pitch correction (which may have changed since) need restoring
+        hookYouTubePlayerAPI(session, NATIVE_PLAYBACK_RATE);
+        applyPitchCorrection(video, video.playbackRate);
         return Promise.resolve(true); // Already enabled
     }
 
-    return browser.storage.local.get({ speedIncrement: 0.05 })
+    return settingsStorage.get(settingsSchema.getDefaults(['minSpeed', 'maxSpeed']))
         .then(result => {
-            const minSpeed = result.speedIncrement || 0.05;
+            const storedRange = settingsSchema.getSpeedRange(result);
             
-            console.log('YouTube Speed Control: Setting minimum speed to', minSpeed);
+            console.log(`YouTube Speed Control: Limiting speed to ${storedRange.min}x-${storedRange.max}x`);
             
             try {
                 // Disable YouTube's native speed indicator
@@ -573,6 +1388,8 @@ function removeSpeedLimit() {
                 if (!video.hasAttribute('data-custom-speed')) {
                     video.setAttribute('data-custom-speed', video.playbackRate || 1);
                 }
+                
+                applyPitchCorrection(video, parseFloat(video.getAttribute('data-custom-speed')) || 1);
     
                 // Override the playbackRate property
                 Object.defineProperty(video, 'playbackRate', {
@@ -581,24 +1398,20 @@ function removeSpeedLimit() {
                         return parseFloat(this.getAttribute('data-custom-speed')) || 1;
                     },
                     set: function(speed) {
-                        // Always use the latest increment value for minimum speed
-                        let currentMinSpeed = minSpeed;
-                        if (window._speedControlSettings && window._speedControlSettings.speedIncrement) {
-                            currentMinSpeed = window._speedControlSettings.speedIncrement;
-                        }
-                        
-                        // Enforce sensible limits (use increment value as minimum speed, up to MAX_SPEED)
-                        speed = Math.max(currentMinSpeed, Math.min(MAX_SPEED, speed));
-                        speed = Math.round(speed * 100) / 100; // Round to 2 decimal places
+                        // Always use the latest range, falling back to the stored one until settings are cached
+                        speed = clampSpeed(speed, window._speedControlSettings || { minSpeed: storedRange.min, maxSpeed: storedRange.max });
                         
                         this.setAttribute('data-custom-speed', speed);
                         
+                        // A pitch correction limit may have been crossed
+                        applyPitchCorrection(this, speed);
+                        
                         try {
-                            // Call the original setter with our speed
-                            originalDescriptor.set.call(this, speed);
+                            // Call the original setter with our speed (raised while skipping silence)
+                            originalDescriptor.set.call(this, getEffectiveRate(this, speed));
                             
                             // Update the UI popup to reflect the new speed
-                            updateSpeedMenuDisplay(speed);
+                            updateSpeedMenuDisplay(speed, false, this);
                         } catch (e) {
                             console.warn('Failed to set playback rate:', e);
                         }
@@ -606,7 +1419,7 @@ function removeSpeedLimit() {
                 });
     
                 // Hook into YouTube's player object for better integration
-                hookYouTubePlayerAPI(video, originalDescriptor);
+                hookYouTubePlayerAPI(session, originalDescriptor);
                 
                 return true;
             } catch (e) {
@@ -614,7 +1427,7 @@ function removeSpeedLimit() {
                 return false;
             }
         }).catch(e => {
-            console.error('Failed to get speedIncrement from storage:', e);
+            console.error('Failed to get speed range from storage:', e);
             return false;
         });
 }
@@ -636,12 +1449,18 @@ function disableYouTubeNativeSpeedIndicator() {
 
 /**
  * Hooks into YouTube's player API for better integration
- * @param {HTMLVideoElement} video - The video element
+ * 
+ * The hooks are removed again when the session is disposed, so a later
+ * session for a different video doesn't act through a stale reference.
+ * 
+ * @param {Object} session - The player session for the video
  * @param {PropertyDescriptor} originalDescriptor - Original playbackRate property descriptor
  */
-function hookYouTubePlayerAPI(video, originalDescriptor) {
+function hookYouTubePlayerAPI(session, originalDescriptor) {
+    const video = session.video;
+    
     try {
-        const player = findYouTubePlayer();
+        const player = findYouTubePlayer(video);
         
         if (player) {
             // Store original methods if we haven't already
@@ -663,6 +1482,18 @@ function hookYouTubePlayerAPI(video, originalDescriptor) {
                 video.playbackRate = speed; 
                 return player._originalSetPlaybackRate.call(player, speed);
             };
+            
+            // Restore the original methods when the session ends
+            const hookedGetPlaybackRate = player.getPlaybackRate;
+            const hookedSetPlaybackRate = player.setPlaybackRate;
+            session.setCleanup('playerHooks', () => {
+                if (player.getPlaybackRate === hookedGetPlaybackRate) {
+                    player.getPlaybackRate = player._originalGetPlaybackRate;
+                }
+                if (player.setPlaybackRate === hookedSetPlaybackRate) {
+                    player.setPlaybackRate = player._originalSetPlaybackRate;
+                }
+            });
         }
     } catch (e) {
         console.warn('Failed to hook into YouTube player API:', e);
@@ -671,11 +1502,12 @@ function hookYouTubePlayerAPI(video, originalDescriptor) {
 
 /**
  * Helper function to find YouTube player object
+ * @param {HTMLVideoElement} video - The video element the player contains
  * @returns {Object|null} YouTube player object or null if not found
  */
-function findYouTubePlayer() {
-    // Look for player by class - most reliable method
-    const playerElement = document.querySelector('.html5-video-player');
+function findYouTubePlayer(video) {
+    // Look for the player that contains the video - most reliable method
+    const playerElement = getPlayerElement(video);
     if (playerElement && typeof playerElement.getPlaybackRate === 'function') {
         return playerElement;
     }
@@ -684,233 +1516,1259 @@ function findYouTubePlayer() {
 }
 
 // -----------------------------------------------------------------------------
-// INITIALIZATION & MAIN LOGIC
+// PITCH CORRECTION
 // -----------------------------------------------------------------------------
 
 /**
- * Main initialization function
+ * Applies the pitch correction setting to a video
+ * 
+ * Browsers keep voices at their normal pitch at any speed by default.
+ * With pitch correction off, or outside the speeds it is limited to, the
+ * audio is played back like a sped-up tape instead. Firefox before
+ * version 101 only has the prefixed mozPreservesPitch.
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ * @param {number} speed - The user's chosen playback speed
  */
-function init() {
-    // Check if we're on a YouTube video page
-    if (!window.location.href.includes('youtube.com/watch')) {
-        return;
-    }
-    
-    console.log('YouTube Speed Control: Initializing...');
-    
-    // Set up the keyboard shortcuts
-    initializeShortcuts();
-    
-    // Pre-load and cache settings
-    loadAndApplySettings();
+function applyPitchCorrection(video, speed) {
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    const preservePitch = settings.preservePitch !== false &&
+        (!settings.pitchMinSpeed || speed >= settings.pitchMinSpeed) &&
+        (!settings.pitchMaxSpeed || speed <= settings.pitchMaxSpeed);
     
-    // Try to override speed limit with simple retry
-    initWithRetry();
+    if ('preservesPitch' in video) {
+        video.preservesPitch = preservePitch;
+    } else if ('mozPreservesPitch' in video) {
+        video.mozPreservesPitch = preservePitch;
+    }
 }
 
+// -----------------------------------------------------------------------------
+// MUTED SPEEDS
+// -----------------------------------------------------------------------------
+
 /**
- * Loads settings from storage and applies them
+ * Checks whether the browser mutes the audio at a speed
+ * 
+ * Firefox plays no sound below 0.25x or above 4x, so users hear silence
+ * rather than sped-up audio. Chrome keeps the sound over the whole range it
+ * can play (0.0625x-16x), which covers every speed clampSpeed lets through.
+ * 
+ * @param {number} speed - The playback speed
+ * @returns {boolean} True if the audio is muted at that speed
  */
-function loadAndApplySettings() {
-    browser.storage.local.get(DEFAULT_SETTINGS)
-        .then(result => {
-            // Cache settings globally for quick access
-            window._speedControlSettings = result;
-            
-            const video = document.querySelector('video');
-            if (video) {
-                // Add a small delay to ensure YouTube's player is fully initialized
-                setTimeout(() => {
-                    // Track if we actually change the speed (to determine if we show popup)
-                    let speedChanged = false;
-                    let initialSpeed = video.playbackRate;
-                    
-                    // Apply last speed if available and if persistSpeed is enabled
-                    if (result.lastSpeed && result.persistSpeed) {
-                        // Only update if different from current speed
-                        if (Math.abs(video.playbackRate - result.lastSpeed) > 0.01) {
-                            video.playbackRate = result.lastSpeed;
-                            speedChanged = true;
-                        }
-                    } else if (!result.persistSpeed) {
-                        // If persistSpeed is disabled, ensure we're at 1.0x speed
-                        if (Math.abs(video.playbackRate - 1.0) > 0.01) {
-                            video.playbackRate = 1.0;
-                            speedChanged = true;
-                        }
-                    }
-                    
-                    // Show popup if speed changed and showInitialSpeedPopup is enabled
-                    if (speedChanged && result.showInitialSpeedPopup) {
-                        updateSpeedMenuDisplay(video.playbackRate);
-                    }
-                    
-                    // Create reset speed button if enabled in settings
-                    if (result.showResetButton) {
-                        createResetSpeedButton(video, result.speedIncrement);
-                    } else {
-                        // Remove button if it exists but setting is disabled
-                        const resetButton = document.querySelector('.ytp-speed-reset-button');
-                        if (resetButton) {
-                            resetButton.remove();
-                        }
-                    }
-                }, 500);
-            }
-        })
-        .catch(error => {
-            console.error('Error caching settings:', error);
-        });
+function isSpeedMuted(speed) {
+    return speed < AUDIBLE_SPEEDS.min || speed > AUDIBLE_SPEEDS.max;
 }
 
 /**
- * Initializes with simple retry
+ * Keeps a speed change out of the muted range if the user asked for it
+ * 
+ * A speed that is already muted (e.g. picked in YouTube's own menu) isn't
+ * pulled back, but a change never moves further into the muted range.
+ * 
+ * @param {number} newSpeed - The speed the change would set
+ * @param {number} currentSpeed - The speed playing now
+ * @returns {number} The speed to set
  */
-function initWithRetry() {
-    let attempts = 0;
-    const maxAttempts = 3;
-    const retryDelay = 500; // ms
-    
-    function attemptInit() {
-        attempts++;
-        
-        removeSpeedLimit().then(success => {
-            if (!success && attempts < maxAttempts) {
-                console.log(`YouTube Speed Control: Retrying in ${retryDelay}ms (attempt ${attempts}/${maxAttempts})`);
-                setTimeout(attemptInit, retryDelay);
-            } else if (success) {
-                console.log('YouTube Speed Control: Successfully initialized');
-            } else {
-                console.warn('YouTube Speed Control: Failed to initialize after multiple attempts');
-            }
-        }).catch(error => {
-            console.error('Error in removeSpeedLimit:', error);
-            if (attempts < maxAttempts) {
-                setTimeout(attemptInit, retryDelay);
-            }
-        });
-    }
+function capToAudibleSpeed(newSpeed, currentSpeed) {
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    if (!settings.capAudibleSpeed) return newSpeed;
     
-    // Start initialization process
-    attemptInit();
+    const min = Math.min(AUDIBLE_SPEEDS.min, currentSpeed);
+    const max = Math.max(AUDIBLE_SPEEDS.max, currentSpeed);
+    return Math.max(min, Math.min(max, newSpeed));
 }
 
+// -----------------------------------------------------------------------------
+// SILENCE SKIPPING
+// -----------------------------------------------------------------------------
+
 /**
- * Handles messages from the popup or background script
- * @param {Object} message - The message object
+ * Returns the rate the media element should actually play at
+ * 
+ * While a quiet passage is being skipped the video plays at the silence
+ * speed (or the user's speed, if that is faster). The user's chosen speed
+ * stays in data-custom-speed so it is restored when speech resumes. The
+ * silence speed never goes above the fastest audible speed, since the
+ * analyser couldn't hear speech resume in muted audio (Firefox above 4x).
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ * @param {number} speed - The user's chosen playback speed
+ * @returns {number} The rate to pass to the native setter
  */
-function handleMessage(message) {
-    console.log('YouTube Speed Control: Received message', message.action);
-    
-    if (message.action === 'settingsUpdated' || message.action === 'applySettings') {
-        handleSettingsUpdate(message);
-    } else if (message.action === 'settingsOpened') {
-        setSettingsOpenState(true);
-    } else if (message.action === 'settingsClosed') {
-        setSettingsOpenState(false);
-        
-        // Re-initialize shortcuts when settings are closed
-        initializeShortcuts();
-    }
+function getEffectiveRate(video, speed) {
+    if (!video._silenceActive) return speed;
     
-    return false; // Don't keep the channel open
+    return Math.max(speed, getSilenceSpeed(window._speedControlSettings || DEFAULT_SETTINGS));
 }
 
 /**
- * Handles settings update messages
- * @param {Object} message - The message with settings data
+ * Returns the speed quiet passages are skipped at
+ * @param {Object} settings - The current settings
+ * @returns {number} The silence speed, within the speed range and audible
  */
-function handleSettingsUpdate(message) {
-    // Update cached settings
-    if (message.settings) {
-        console.log('YouTube Speed Control: Updating settings to', message.settings);
-        window._speedControlSettings = message.settings;
-    } else {
-        // If no settings provided, get updated ones from storage
-        browser.storage.local.get(DEFAULT_SETTINGS).then(result => {
-            console.log('YouTube Speed Control: Loaded settings from storage', result);
-            window._speedControlSettings = result;
-        });
+function getSilenceSpeed(settings) {
+    return Math.min(settingsSchema.getSpeedRange(settings).max, AUDIBLE_SPEEDS.max,
+        settings.silenceSpeed || DEFAULT_SETTINGS.silenceSpeed);
+}
+
+/**
+ * Starts monitoring the video's audio level to skip quiet passages
+ * 
+ * Routes the video's audio through a Web Audio analyser and samples its
+ * level periodically. A media element can only be attached to one audio
+ * graph, so the graph is created once and kept on the element until the
+ * element leaves the page (see releaseSilenceAudio).
+ * 
+ * Waits for removeSpeedLimit to have enhanced the video, as the user's
+ * speed is only kept apart from the rate actually playing after that
+ * (initWithRetry starts it then if settings arrived first).
+ * 
+ * @param {Object} session - The player session for the video
+ */
+function startSilenceSkipping(session) {
+    if (!session || session.isDisposed() || session.silenceInterval) return;
+    
+    const video = session.video;
+    if (!video.hasAttribute('data-custom-speed-enabled')) return;
+    
+    try {
+        if (!video._silenceAudio) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            const context = new AudioContextClass();
+            const source = context.createMediaElementSource(video);
+            const analyser = context.createAnalyser();
+            analyser.fftSize = 2048;
+            
+            // Keep the audio audible while also feeding the analyser
+            source.connect(context.destination);
+            source.connect(analyser);
+            
+            // Audio contexts may start suspended until playback is allowed
+            const resume = () => {
+                if (context.state === 'suspended') {
+                    context.resume().catch(() => {});
+                }
+            };
+            video.addEventListener('play', resume);
+            
+            video._silenceAudio = {
+                context: context,
+                analyser: analyser,
+                samples: new Float32Array(analyser.fftSize),
+                resume: resume
+            };
+        }
+    } catch (e) {
+        console.warn('YouTube Speed Control: Could not analyse audio for silence skipping:', e);
+        return;
     }
     
-    // Reinitialize shortcuts with new settings
-    initializeShortcuts();
+    // Restore the user's speed if the session ends mid-silence, and let go
+    // of the audio graph if the video is gone
+    session.setCleanup('silenceSkipping', () => {
+        stopSilenceSkipping(session);
+        releaseSilenceAudio(video);
+    });
     
-    // Get the settings from message or cached settings
-    const settings = message.settings || window._speedControlSettings;
-    const video = document.querySelector('video');
+    let quietSince = null;
     
-    if (video) {
-        // Re-initialize speed limits in case increment changed
-        if (settings && settings.speedIncrement) {
-            // Update current speed if it's below the new minimum
-            const currentSpeed = parseFloat(video.playbackRate.toFixed(2));
-            if (currentSpeed < settings.speedIncrement) {
-                console.log(`Updating speed from ${currentSpeed}x to minimum ${settings.speedIncrement}x`);
-                video.playbackRate = settings.speedIncrement;
-                
-                // Also update the stored last speed
-                browser.storage.local.set({ lastSpeed: settings.speedIncrement })
-                    .catch(err => console.error('Failed to update minimum speed:', err));
-                    
-                // Show the speed indicator with the new minimum
-                updateSpeedMenuDisplay(settings.speedIncrement);
-            }
+    // Cleared by stopSilenceSkipping, which the cleanup above calls
+    session.silenceInterval = setInterval(() => {
+        // Never speed up a paused or ended video
+        if (video.paused || video.ended) {
+            quietSince = null;
+            setSilenceActive(video, false);
+            return;
         }
         
-        // Handle reset button toggle
-        if (settings && typeof settings.showResetButton !== 'undefined') {
-            if (settings.showResetButton) {
-                // Create button if it doesn't exist
-                createResetSpeedButton(video, settings.speedIncrement || DEFAULT_SETTINGS.speedIncrement);
-            } else {
-                // Remove button if setting is disabled
-                const resetButton = document.querySelector('.ytp-speed-reset-button');
-                if (resetButton) {
-                    resetButton.remove();
-                }
+        const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+        const threshold = settings.silenceThreshold ?? DEFAULT_SETTINGS.silenceThreshold;
+        const delay = settings.silenceDelay ?? DEFAULT_SETTINGS.silenceDelay;
+        
+        if (getAudioLevel(video._silenceAudio) < threshold) {
+            quietSince = quietSince || performance.now();
+            if (performance.now() - quietSince >= delay) {
+                setSilenceActive(video, true);
             }
+        } else {
+            quietSince = null;
+            setSilenceActive(video, false);
         }
-    }
+    }, SILENCE_CHECK_INTERVAL);
+    
+    console.log('YouTube Speed Control: Silence skipping enabled');
 }
 
 /**
- * Sets the settings open state to enable/disable keyboard shortcuts
- * @param {boolean} isOpen - Whether settings is open
+ * Stops monitoring audio and restores the user's speed
+ * @param {Object} session - The player session for the video
  */
-function setSettingsOpenState(isOpen) {
-    const indicator = document.querySelector('.custom-speed-indicator');
-    if (indicator) {
-        indicator.setAttribute('data-settings-open', isOpen ? 'true' : 'false');
+function stopSilenceSkipping(session) {
+    if (!session || !session.silenceInterval) return;
+    
+    clearInterval(session.silenceInterval);
+    session.silenceInterval = null;
+    setSilenceActive(session.video, false);
+    
+    console.log('YouTube Speed Control: Silence skipping disabled');
+}
+
+/**
+ * Closes a video's audio graph once the video has left the page
+ * 
+ * While the element is still in the page YouTube may play it again (it
+ * reuses the player's <video> across navigations), and its sound now only
+ * reaches the speakers through the graph, so the graph is kept for it.
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ */
+function releaseSilenceAudio(video) {
+    const audio = video._silenceAudio;
+    if (!audio || video.isConnected) return;
+    
+    video.removeEventListener('play', audio.resume);
+    audio.context.close().catch(() => {});
+    video._silenceAudio = null;
+}
+
+/**
+ * Measures the current audio level of the analysed video
+ * @param {Object} audio - The audio graph created by startSilenceSkipping
+ * @returns {number} The RMS level in decibels (-Infinity for digital silence)
+ */
+function getAudioLevel(audio) {
+    audio.analyser.getFloatTimeDomainData(audio.samples);
+    
+    let sumOfSquares = 0;
+    for (let i = 0; i < audio.samples.length; i++) {
+        sumOfSquares += audio.samples[i] * audio.samples[i];
+    }
+    
+    const rms = Math.sqrt(sumOfSquares / audio.samples.length);
+    return 20 * Math.log10(rms);
+}
+
+/**
+ * Switches silence skipping on or off for the current passage
+ * 
+ * Applies the effective rate through the native setter so the user's
+ * speed (data-custom-speed) and lastSpeed are left untouched.
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ * @param {boolean} active - Whether a quiet passage is being skipped
+ */
+function setSilenceActive(video, active) {
+    if (!!video._silenceActive === active) return;
+    
+    // Read the user's speed from the attribute rather than playbackRate, which
+    // is the native rate (possibly the silence speed) until removeSpeedLimit has run
+    const speed = parseFloat(video.getAttribute('data-custom-speed'));
+    if (!speed) return;
+    
+    video._silenceActive = active;
+    
+    try {
+        NATIVE_PLAYBACK_RATE.set.call(video, getEffectiveRate(video, speed));
+    } catch (e) {
+        console.warn('Failed to apply silence speed:', e);
+    }
+    
+    updateSilenceIndicator(video, active);
+}
+
+/**
+ * Shows or hides the "skipping silence" state in the player
+ * 
+ * Marks the speed control button and shows a small persistent badge
+ * in the player while a quiet passage is being sped up.
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ * @param {boolean} active - Whether a quiet passage is being skipped
+ */
+function updateSilenceIndicator(video, active) {
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    const silenceSpeed = getSilenceSpeed(settings);
+    
+    // Mark the speed control button
+    document.querySelectorAll('.ytp-speed-reset-button').forEach(resetButton => {
+        const circle = resetButton.querySelector('circle');
+        if (circle) {
+            circle.setAttribute('stroke-dasharray', active ? '4 2' : 'none');
+        }
+        resetButton.classList.toggle('speed-silence-active', active);
+        if (active) {
+            resetButton.setAttribute('data-tooltip-text', `Skipping silence at ${silenceSpeed}×`);
+        } else {
+            // The aria-label always holds the plain speed tooltip (see updateSpeedButtonDisplay)
+            resetButton.setAttribute('data-tooltip-text', resetButton.getAttribute('aria-label') || 'Playback speed: 1×');
+        }
+    });
+    
+    // Show a badge in the player unless popups are disabled
+    const videoPlayer = getPlayerElement(video);
+    if (!videoPlayer) return;
+    
+    let badge = videoPlayer.querySelector('.custom-silence-indicator');
+    if (!badge) {
+        if (!active) return;
+        
+        badge = createSpeedIndicator();
+        badge.className = 'custom-silence-indicator';
+        badge.style.fontSize = '14px';
+        badge.style.padding = '6px 12px';
+        badge.style.top = '20px';
+        badge.style.left = '50%';
+        badge.style.transform = 'translateX(-50%)';
+        videoPlayer.appendChild(badge);
+        
+        // Remove the badge along with the session of the video it belongs to
+        const session = getSessionForVideo(video);
+        if (session) session.setCleanup('silenceIndicator', () => badge.remove());
+    }
+    
+    badge.textContent = `⏩ Skipping silence (${silenceSpeed}×)`;
+    badge.style.opacity = active && settings.enableSpeedPopup !== false ? '1' : '0';
+}
+
+// -----------------------------------------------------------------------------
+// CHANNEL SPEED MEMORY
+// -----------------------------------------------------------------------------
+
+/**
+ * Extracts a channel key from a channel link
+ * 
+ * Accepts both handle links ("/@handle") and legacy ID links ("/channel/UC...").
+ * 
+ * @param {string} href - The href attribute of a channel link
+ * @returns {string|null} The channel handle (with "@") or channel ID, or null
+ */
+function parseChannelHref(href) {
+    if (!href) return null;
+    
+    const match = href.match(/\/(@[^/?#]+|channel\/[^/?#]+)/);
+    if (!match) return null;
+    
+    return decodeURIComponent(match[1].replace(/^channel\//, ''));
+}
+
+/**
+ * Reads the channel of the current video from the watch or Shorts page
+ * 
+ * Prefers the owner link under the video (or in the active short's overlay),
+ * which YouTube keeps up to date during SPA navigation, and falls back to
+ * the page's channelId metadata.
+ * 
+ * @returns {{id: string, name: string}|null} Channel info, or null if not found
+ */
+function getChannelInfo() {
+    const linkSelectors = isShortsPage() ? [
+        `${SHORTS_ACTIVE_REEL_SELECTOR} ytd-channel-name a`,
+        `${SHORTS_ACTIVE_REEL_SELECTOR} a[href^="/@"]`
+    ] : [
+        'ytd-watch-metadata ytd-video-owner-renderer ytd-channel-name a',
+        '#owner ytd-channel-name a',
+        'ytd-video-owner-renderer a.yt-simple-endpoint'
+    ];
+    
+    for (const selector of linkSelectors) {
+        const link = document.querySelector(selector);
+        const id = link && parseChannelHref(link.getAttribute('href'));
+        if (id) {
+            return { id: id, name: link.textContent.trim() || id };
+        }
+    }
+    
+    // Fallback: microdata on the initial page load (may be stale after navigation)
+    const meta = document.querySelector('meta[itemprop="channelId"]');
+    if (meta && meta.content) {
+        const nameMeta = document.querySelector('link[itemprop="name"]');
+        return { id: meta.content, name: (nameMeta && nameMeta.getAttribute('content')) || meta.content };
+    }
+    
+    return null;
+}
+
+/**
+ * Looks up the remembered speed for a channel
+ * @param {Object} settings - The current settings object
+ * @param {Object|null} channel - The channel ({ id, name }), if known
+ * @returns {number|null} The stored speed, or null if none is stored
+ */
+function getChannelSpeed(settings, channel) {
+    if (!settings.rememberChannelSpeed || !settings.channelSpeeds || !channel) return null;
+    
+    const entry = settings.channelSpeeds[channel.id];
+    const speed = entry && parseFloat(entry.speed);
+    return speed > 0 ? speed : null;
+}
+
+/**
+ * Stores the given speed for a video's channel
+ * 
+ * Uses the channel found when the video's media loaded (see
+ * applyInitialSpeed), as the page's metadata can still describe the
+ * previous video for a while after navigating. The background script
+ * does the write, so saves from other tabs or the popup aren't lost.
+ * 
+ * @param {HTMLVideoElement} video - The video whose speed changed
+ * @param {number} speed - The playback speed to remember
+ */
+function saveChannelSpeed(video, speed) {
+    const session = getSessionForVideo(video);
+    const channel = session && session.channel;
+    if (!channel) return;
+    
+    const changes = { [channel.id]: { name: channel.name, speed: speed } };
+    browser.runtime.sendMessage({ action: 'updateChannelSpeeds', changes: changes })
+        .then(channelSpeeds => {
+            // Keep the cached settings in sync so the next lookup sees the new value
+            if (channelSpeeds && window._speedControlSettings) {
+                window._speedControlSettings.channelSpeeds = channelSpeeds;
+            }
+        })
+        .catch(err => console.error('Failed to save channel speed:', err));
+}
+
+// -----------------------------------------------------------------------------
+// CHAPTER SPEED RULES
+// -----------------------------------------------------------------------------
+
+/**
+ * Parses a chapter timestamp like "4:05" or "1:02:03" into seconds
+ * @param {string} text - The timestamp text
+ * @returns {number} The time in seconds, or NaN if it isn't a timestamp
+ */
+function parseTimestamp(text) {
+    const trimmed = (text || '').trim();
+    if (!/^\d+(:\d{1,2}){1,2}$/.test(trimmed)) return NaN;
+    
+    return trimmed.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+}
+
+/**
+ * Reads the video's chapters from the watch page's chapter markers
+ * @returns {Array<{title: string, start: number}>} Chapters sorted by start time
+ */
+function getChapters() {
+    const chapters = [];
+    const seenStarts = new Set();
+    
+    document.querySelectorAll(CHAPTER_MARKER_SELECTOR).forEach(marker => {
+        const titleElement = marker.querySelector('h4');
+        const timeElement = marker.querySelector('#time');
+        if (!titleElement || !timeElement) return;
+        
+        const title = titleElement.textContent.trim();
+        const start = parseTimestamp(timeElement.textContent);
+        if (!title || isNaN(start) || seenStarts.has(start)) return;
+        
+        seenStarts.add(start);
+        chapters.push({ title: title, start: start });
+    });
+    
+    return chapters.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Finds the chapter the video is currently playing
+ * 
+ * Uses the chapter markers when the page has them. Embeds and pages whose
+ * chapter list hasn't loaded yet only show the current chapter's title in
+ * the player, so that is used as a fallback.
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ * @returns {{title: string, start: (number|null)}|null} The current chapter, if any
+ */
+function getCurrentChapter(video) {
+    const chapters = getChapters();
+    
+    if (chapters.length > 0) {
+        let current = null;
+        for (const chapter of chapters) {
+            if (chapter.start > video.currentTime) break;
+            current = chapter;
+        }
+        return current;
+    }
+    
+    const videoPlayer = getPlayerElement(video);
+    const titleElement = videoPlayer && videoPlayer.querySelector('.ytp-chapter-title-content');
+    const title = titleElement ? titleElement.textContent.trim() : '';
+    
+    return title ? { title: title, start: null } : null;
+}
+
+/**
+ * Checks whether a chapter rule matches a chapter title
+ * 
+ * Plain text rules match anywhere in the title, ignoring case. Regex rules
+ * are also case-insensitive; an invalid regex never matches.
+ * 
+ * @param {Object} rule - The rule ({ pattern, isRegex, speed })
+ * @param {string} title - The chapter title
+ * @returns {boolean} True if the rule applies to the chapter
+ */
+function chapterRuleMatches(rule, title) {
+    if (!rule || !rule.pattern || !(rule.speed > 0)) return false;
+    
+    if (rule.isRegex) {
+        try {
+            return new RegExp(rule.pattern, 'i').test(title);
+        } catch (e) {
+            return false;
+        }
+    }
+    
+    return title.toLowerCase().includes(rule.pattern.toLowerCase());
+}
+
+/**
+ * Finds the first rule that matches a chapter title
+ * @param {Array<Object>} rules - The user's chapter rules, in priority order
+ * @param {string} title - The chapter title
+ * @returns {Object|null} The matching rule, or null
+ */
+function findChapterRule(rules, title) {
+    if (!Array.isArray(rules)) return null;
+    
+    return rules.find(rule => chapterRuleMatches(rule, title)) || null;
+}
+
+/**
+ * Starts switching speed as playback crosses chapter boundaries
+ * 
+ * If the rules are already running (e.g. the rules were just edited) the
+ * current chapter is re-evaluated on the next time update instead.
+ * 
+ * @param {Object} session - The player session for the video
+ */
+function startChapterRules(session) {
+    if (!session || session.isDisposed()) return;
+    
+    if (session.chapterRules) {
+        session.chapterRules.chapterKey = undefined;
+        return;
+    }
+    
+    const video = session.video;
+    const state = {
+        chapterKey: undefined, // Chapter last evaluated (undefined forces a check)
+        ruleSpeed: null,       // Speed applied by the current chapter's rule
+        speedBeforeRule: null, // The user's speed to return to after rule chapters
+        removeListeners: []
+    };
+    
+    const check = () => updateChapterSpeed(session, state);
+    
+    state.removeListeners.push(
+        session.addEventListener(video, 'timeupdate', check),
+        session.addEventListener(video, 'seeked', check),
+        session.addEventListener(video, 'loadstart', () => {
+            // New media: the previous video's chapters and speeds no longer apply
+            state.chapterKey = undefined;
+            state.ruleSpeed = null;
+            state.speedBeforeRule = null;
+        })
+    );
+    
+    session.chapterRules = state;
+    check();
+}
+
+/**
+ * Stops the chapter rules and returns to the user's own speed
+ * @param {Object} session - The player session for the video
+ */
+function stopChapterRules(session) {
+    if (!session || !session.chapterRules) return;
+    
+    const state = session.chapterRules;
+    session.chapterRules = null;
+    state.removeListeners.forEach(remove => remove());
+    
+    restoreSpeedAfterRule(session.video, state, null);
+}
+
+/**
+ * Applies the rule for the current chapter when it changes
+ * @param {Object} session - The player session for the video
+ * @param {Object} state - The chapter rule state created by startChapterRules
+ */
+function updateChapterSpeed(session, state) {
+    const video = session.video;
+    const chapter = getCurrentChapter(video);
+    const chapterKey = chapter ? `${chapter.start}|${chapter.title}` : null;
+    
+    // Only act when playback enters a different chapter
+    if (chapterKey === state.chapterKey) return;
+    state.chapterKey = chapterKey;
+    
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    const rule = chapter ? findChapterRule(settings.chapterRules, chapter.title) : null;
+    
+    if (!rule) {
+        restoreSpeedAfterRule(video, state, chapter);
+        return;
+    }
+    
+    // Remember the user's speed when going from a normal chapter into a rule
+    if (state.ruleSpeed === null) {
+        state.speedBeforeRule = getTargetSpeed(video);
     }
+    
+    // The speed the setter will actually apply, so restoring can tell it apart from a user change
+    state.ruleSpeed = clampSpeed(rule.speed);
+    
+    // Not saved as the last speed, since the rule only applies to this chapter
+    applySpeedWithTransition(video, state.ruleSpeed);
+    showChapterNotice(video, chapter.title, state.ruleSpeed);
 }
 
-// Watch for navigation changes (for single-page-application support)
-function setupUrlObserver() {
-    let lastUrl = location.href;
+/**
+ * Returns to the speed the user had before a chapter rule took over
+ * 
+ * If the user changed the speed themselves during the rule's chapter,
+ * their choice is kept instead.
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ * @param {Object} state - The chapter rule state
+ * @param {Object|null} chapter - The chapter now playing, if any
+ */
+function restoreSpeedAfterRule(video, state, chapter) {
+    if (state.ruleSpeed === null) return;
+    
+    if (Math.abs(getTargetSpeed(video) - state.ruleSpeed) < 0.01 && state.speedBeforeRule !== null) {
+        applySpeedWithTransition(video, state.speedBeforeRule);
+        showChapterNotice(video, chapter ? chapter.title : null, state.speedBeforeRule);
+    }
     
-    // Create a simplified observer that only watches for URL changes
-    setInterval(() => {
-        if (location.href !== lastUrl) {
-            lastUrl = location.href;
+    state.ruleSpeed = null;
+    state.speedBeforeRule = null;
+}
+
+/**
+ * Shows which chapter caused a speed switch in the speed indicator
+ * @param {HTMLVideoElement} video - The video element
+ * @param {string|null} title - The chapter title, if known
+ * @param {number} speed - The speed now playing
+ */
+function showChapterNotice(video, title, speed) {
+    const settings = window._speedControlSettings || DEFAULT_SETTINGS;
+    if (settings.enableSpeedPopup === false) return;
+    
+    speed = Math.round(speed * 100) / 100;
+    showSpeedIndicator(video, title ? `${title} · ${speed}×` : `${speed}×`, CHAPTER_NOTICE_DISPLAY_TIME);
+}
+
+// -----------------------------------------------------------------------------
+// TIME-SAVED STATISTICS
+// -----------------------------------------------------------------------------
+
+/**
+ * Creates an empty statistics record
+ * 
+ * Both days and channels map to { watched, content } in seconds: the real
+ * time spent watching and the amount of video played in that time.
+ * 
+ * @returns {{days: Object, channels: Object}} The empty record
+ */
+function createEmptyStats() {
+    return { days: {}, channels: {} };
+}
+
+/**
+ * Gets the local date used to group statistics by day
+ * @returns {string} The date as YYYY-MM-DD
+ */
+function getTodayKey() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const day = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Starts recording viewing time for a session's video
+ * 
+ * Time is collected in memory and sent off to be saved periodically,
+ * when new media loads and when the session ends.
+ * 
+ * @param {Object} session - The player session for the video
+ */
+function startStatsTracking(session) {
+    if (!session || session.isDisposed() || session.stats) return;
+    
+    const video = session.video;
+    session.stats = {
+        pending: createEmptyStats(),
+        lastTime: null,  // video.currentTime at the previous time update
+        lastClock: null  // performance.now() at the previous time update
+    };
+    
+    // Seeks and pauses break the link between real time and video time
+    const resetBaseline = () => {
+        session.stats.lastTime = null;
+    };
+    
+    session.addEventListener(video, 'timeupdate', () => recordPlayback(session));
+    session.addEventListener(video, 'seeking', resetBaseline);
+    session.addEventListener(video, 'pause', resetBaseline);
+    session.addEventListener(video, 'loadstart', () => {
+        flushStats(session);
+        resetBaseline();
+    });
+    
+    session.setInterval(() => flushStats(session), STATS_FLUSH_INTERVAL);
+    session.addEventListener(window, 'pagehide', () => flushStats(session));
+    session.onDispose(() => flushStats(session));
+}
+
+/**
+ * Records the viewing time since the previous time update
+ * 
+ * Compares the real time that passed with how far the video advanced, so
+ * the difference is the time saved (or spent, below 1x). Ads and gaps
+ * longer than STATS_MAX_GAP (seeks, throttled background tabs) are skipped.
+ * 
+ * @param {Object} session - The player session for the video
+ */
+function recordPlayback(session) {
+    const video = session.video;
+    const stats = session.stats;
+    const now = performance.now();
+    const time = video.currentTime;
+    
+    const previousTime = stats.lastTime;
+    const previousClock = stats.lastClock;
+    stats.lastTime = time;
+    stats.lastClock = now;
+    
+    if (previousTime === null || video.paused || video.seeking) return;
+    
+    const videoPlayer = getPlayerElement(video);
+    if (videoPlayer && videoPlayer.classList.contains('ad-showing')) return;
+    
+    const watched = (now - previousClock) / 1000;
+    const content = time - previousTime;
+    
+    if (watched <= 0 || watched > STATS_MAX_GAP) return;
+    if (content <= 0 || content > watched * MAX_SPEED * 2) return;
+    
+    addStats(stats.pending, getTodayKey(), getChannelInfo(), watched, content);
+}
+
+/**
+ * Adds viewing time to a statistics record
+ * @param {Object} stats - The record to add to (see createEmptyStats)
+ * @param {string|null} day - The day key (YYYY-MM-DD), or null to only add to the channel
+ * @param {Object|null} channel - The channel ({ id, name }), if known
+ * @param {number} watched - Real seconds spent watching
+ * @param {number} content - Seconds of video played
+ */
+function addStats(stats, day, channel, watched, content) {
+    if (day) {
+        const dayEntry = stats.days[day] || (stats.days[day] = { watched: 0, content: 0 });
+        dayEntry.watched += watched;
+        dayEntry.content += content;
+    }
+    
+    if (channel) {
+        const channelEntry = stats.channels[channel.id] ||
+            (stats.channels[channel.id] = { name: channel.name, watched: 0, content: 0 });
+        channelEntry.name = channel.name || channelEntry.name;
+        channelEntry.watched += watched;
+        channelEntry.content += content;
+    }
+}
+
+/**
+ * Sends a session's recorded viewing time to the background script
+ * 
+ * Only the background script writes the statistics, adding each batch to
+ * the stored totals in turn, so flushes from this or other tabs and a
+ * clear from the popup can't overwrite each other.
+ * 
+ * @param {Object} session - The player session for the video
+ */
+function flushStats(session) {
+    const pending = session.stats && session.stats.pending;
+    if (!pending || Object.keys(pending.days).length === 0) return;
+    
+    session.stats.pending = createEmptyStats();
+    
+    browser.runtime.sendMessage({ action: 'recordStats', stats: pending })
+        .catch(err => console.error('Failed to save viewing statistics:', err));
+}
+
+// -----------------------------------------------------------------------------
+// INITIALIZATION & MAIN LOGIC
+// -----------------------------------------------------------------------------
+
+/**
+ * Main initialization function
+ */
+function init() {
+    const video = getPageVideo();
+    
+    // Leaving the video (or closing the miniplayer) ends its session
+    if (!video) {
+        disposeCurrentSession();
+        return;
+    }
+    
+    // Start a fresh session whenever the player's <video> element changes
+    if (!currentSession || currentSession.video !== video) {
+        disposeCurrentSession();
+        currentSession = createPlayerSession(video);
+    }
+    
+    console.log('YouTube Speed Control: Initializing...');
+    
+    // Set up the keyboard shortcuts
+    initializeShortcuts();
+    
+    // Pre-load and cache settings
+    loadAndApplySettings();
+    
+    // Try to override speed limit with simple retry
+    initWithRetry(currentSession);
+}
+
+/**
+ * Loads settings from storage and applies them
+ */
+function loadAndApplySettings() {
+    settingsStorage.get(DEFAULT_SETTINGS)
+        .then(result => {
+            // Cache settings globally for quick access
+            window._speedControlSettings = result;
             
-            // If we're on a YouTube video page, reinitialize
-            if (location.href.includes('youtube.com/watch')) {
-                setTimeout(init, 1000); // Wait for video player to load
+            const session = currentSession;
+            if (session && !session.isDisposed()) {
+                // Re-apply the speed whenever YouTube loads new media into this element
+                watchMediaLoads(session);
+                
+                // Record viewing time for the time-saved statistics
+                startStatsTracking(session);
+                
+                applyInitialSpeed(session.video);
+                
+                // Create reset speed button if enabled in settings
+                if (result.showResetButton) {
+                    createResetSpeedButton(session);
+                } else {
+                    // Remove button if it exists but setting is disabled
+                    removeResetSpeedButton();
+                }
+                
+                // Start or stop silence skipping based on settings
+                if (result.skipSilence) {
+                    startSilenceSkipping(session);
+                } else {
+                    stopSilenceSkipping(session);
+                }
+                
+                // Start or stop the chapter speed rules
+                if (result.enableChapterRules) {
+                    startChapterRules(session);
+                } else {
+                    stopChapterRules(session);
+                }
             }
+        })
+        .catch(error => {
+            console.error('Error caching settings:', error);
+        });
+}
+
+/**
+ * Applies the starting speed for the current video
+ * 
+ * Uses the channel's remembered speed if there is one, otherwise the last
+ * speed (when persistSpeed is enabled) or normal speed.
+ * 
+ * @param {HTMLVideoElement} video - The video element
+ */
+function applyInitialSpeed(video) {
+    const settings = window._speedControlSettings;
+    if (!settings) return;
+    
+    // Track if we actually change the speed (to determine if we show popup)
+    let speedChanged = false;
+    
+    // Resolve the channel while the page describes this video, and keep it
+    // with the session for saving speed changes (see saveChannelSpeed)
+    const channel = getChannelInfo();
+    const session = getSessionForVideo(video);
+    if (session) session.channel = channel;
+    
+    // A remembered channel speed takes priority over the global setting
+    const channelSpeed = getChannelSpeed(settings, channel);
+    
+    if (channelSpeed) {
+        if (Math.abs(video.playbackRate - channelSpeed) > 0.01) {
+            video.playbackRate = channelSpeed;
+            speedChanged = true;
+        }
+    } else if (settings.lastSpeed && settings.persistSpeed) {
+        // Apply last speed if available and if persistSpeed is enabled
+        // Only update if different from current speed
+        if (Math.abs(video.playbackRate - settings.lastSpeed) > 0.01) {
+            video.playbackRate = settings.lastSpeed;
+            speedChanged = true;
         }
-    }, 1000); // Check every second
+    } else if (!settings.persistSpeed) {
+        // If persistSpeed is disabled, ensure we're at 1.0x speed
+        if (Math.abs(video.playbackRate - 1.0) > 0.01) {
+            video.playbackRate = 1.0;
+            speedChanged = true;
+        }
+    }
+    
+    // Show popup if speed changed and showInitialSpeedPopup is enabled
+    if (speedChanged && settings.showInitialSpeedPopup) {
+        updateSpeedMenuDisplay(video.playbackRate, false, video);
+    }
+}
+
+/**
+ * Re-applies the starting speed each time new media loads into a video
+ * 
+ * YouTube reuses the same <video> element across navigations and may
+ * reset its rate when playback starts, so the speed is applied both when
+ * the metadata loads and again when the new media first plays.
+ * 
+ * @param {Object} session - The player session for the video
+ */
+function watchMediaLoads(session) {
+    // Only attach once per session, however often settings are reloaded
+    if (session.watchingMediaLoads) return;
+    session.watchingMediaLoads = true;
+    
+    const video = session.video;
+    let awaitingFirstPlay = false;
+    
+    session.addEventListener(video, 'loadstart', () => {
+        awaitingFirstPlay = true;
+    });
+    
+    session.addEventListener(video, 'loadedmetadata', () => {
+        applyInitialSpeed(video);
+    });
+    
+    session.addEventListener(video, 'playing', () => {
+        if (!awaitingFirstPlay) return;
+        
+        awaitingFirstPlay = false;
+        applyInitialSpeed(video);
+    });
+}
+
+/**
+ * Initializes with simple retry
+ * @param {Object} session - The player session to enhance
+ */
+function initWithRetry(session) {
+    let attempts = 0;
+    const maxAttempts = 3;
+    const retryDelay = 500; // ms
+    
+    function attemptInit() {
+        attempts++;
+        
+        removeSpeedLimit(session).then(success => {
+            if (session.isDisposed()) return;
+            
+            if (!success && attempts < maxAttempts) {
+                console.log(`YouTube Speed Control: Retrying in ${retryDelay}ms (attempt ${attempts}/${maxAttempts})`);
+                session.setTimeout(attemptInit, retryDelay);
+            } else if (success) {
+                console.log('YouTube Speed Control: Successfully initialized');
+                
+                // Silence skipping waits for the speed limit to be removed
+                const settings = window._speedControlSettings;
+                if (settings && settings.skipSilence) {
+                    startSilenceSkipping(session);
+                }
+            } else {
+                console.warn('YouTube Speed Control: Failed to initialize after multiple attempts');
+            }
+        }).catch(error => {
+            console.error('Error in removeSpeedLimit:', error);
+            if (attempts < maxAttempts) {
+                session.setTimeout(attemptInit, retryDelay);
+            }
+        });
+    }
+    
+    // Start initialization process
+    attemptInit();
+}
+
+/**
+ * Handles messages from the popup or background script
+ * @param {Object} message - The message object
+ */
+function handleMessage(message) {
+    console.log('YouTube Speed Control: Received message', message.action);
+    
+    if (message.action === 'settingsUpdated' || message.action === 'applySettings') {
+        handleSettingsUpdate(message);
+    } else if (message.action === 'settingsOpened') {
+        setSettingsOpenState(true);
+    } else if (message.action === 'settingsClosed') {
+        setSettingsOpenState(false);
+        
+        // Re-initialize shortcuts when settings are closed
+        initializeShortcuts();
+    } else if (message.action === 'speedCommand') {
+        handleSpeedCommand(message.command);
+    } else if (message.action === 'hostShortcut') {
+        handleHostShortcut(message.combo, message.count, message.release, message.modifier);
+    }
+    
+    return false; // Don't keep the channel open
+}
+
+/**
+ * Handles a speed command forwarded by the background script
+ * 
+ * These come from the browser-level shortcuts, which work even
+ * when the YouTube page doesn't have focus.
+ * 
+ * @param {string} command - An action ID such as 'increaseSpeed' (hold actions aren't supported)
+ */
+function handleSpeedCommand(command) {
+    const action = actionRegistry.getAction(command);
+    if (!action || action.hold) return;
+    
+    runAction(action.id, getTargetVideo(), {});
+}
+
+/**
+ * Handles a shortcut pressed in the page that embeds this player
+ * 
+ * The background script relays it to every frame in the tab, so only
+ * embedded players act on it, and only one the user has started playing
+ * (in case the page embeds several videos).
+ * 
+ * @param {string} combo - The key combo pressed in the host page
+ * @param {number} [count=1] - Count prefix typed before it
+ * @param {boolean} [release=false] - True when a held combo was let go
+ * @param {string|null} [modifier=null] - Step modifier held with the combo
+ */
+function handleHostShortcut(combo, count = 1, release = false, modifier = null) {
+    if (!isEmbedPage() || window === window.top) return;
+    
+    // Always end a hold, even if the player was paused in the meantime
+    if (release) {
+        keyHandler.release(combo);
+        return;
+    }
+    
+    const video = getTargetVideo();
+    if (!video || (video.paused && video.played.length === 0)) return;
+    
+    keyHandler.trigger(combo, count, modifier);
+}
+
+/**
+ * Handles settings update messages
+ * @param {Object} message - The message with settings data
+ */
+function handleSettingsUpdate(message) {
+    // Update cached settings, checked like values read from storage
+    if (message.settings) {
+        message.settings = settingsSchema.sanitize({ ...DEFAULT_SETTINGS, ...message.settings });
+        console.log('YouTube Speed Control: Updating settings to', message.settings);
+        window._speedControlSettings = message.settings;
+    } else {
+        // If no settings provided, get updated ones from storage
+        settingsStorage.get(DEFAULT_SETTINGS).then(result => {
+            console.log('YouTube Speed Control: Loaded settings from storage', result);
+            window._speedControlSettings = result;
+        });
+    }
+    
+    // Reinitialize shortcuts with new settings
+    initializeShortcuts();
+    
+    // Get the settings from message or cached settings
+    const settings = message.settings || window._speedControlSettings;
+    const session = currentSession;
+    
+    if (session) {
+        const video = session.video;
+        
+        // Bring the current speed into the range in case it changed
+        if (settings) {
+            const currentSpeed = parseFloat(video.playbackRate.toFixed(2));
+            
+            // Pitch correction or its speed limits may have changed too
+            applyPitchCorrection(video, currentSpeed);
+            
+            const allowedSpeed = clampSpeed(currentSpeed, settings);
+            if (currentSpeed !== allowedSpeed) {
+                console.log(`Updating speed from ${currentSpeed}x to ${allowedSpeed}x to stay within the speed range`);
+                video.playbackRate = allowedSpeed;
+                
+                // Also update the stored last speed
+                browser.storage.local.set({ lastSpeed: allowedSpeed })
+                    .catch(err => console.error('Failed to update speed to the new range:', err));
+                    
+                // Show the speed indicator with the new speed
+                updateSpeedMenuDisplay(allowedSpeed, false, video);
+            }
+        }
+        
+        // Handle reset button toggle
+        if (settings && typeof settings.showResetButton !== 'undefined') {
+            if (settings.showResetButton) {
+                // Create button if it doesn't exist
+                createResetSpeedButton(session);
+            } else {
+                // Remove button if setting is disabled
+                removeResetSpeedButton();
+            }
+        }
+        
+        // Handle silence skipping toggle
+        if (settings && typeof settings.skipSilence !== 'undefined') {
+            if (settings.skipSilence) {
+                startSilenceSkipping(session);
+            } else {
+                stopSilenceSkipping(session);
+            }
+        }
+        
+        // Handle chapter rules toggle (and re-check the chapter if the rules changed)
+        if (settings && typeof settings.enableChapterRules !== 'undefined') {
+            if (settings.enableChapterRules) {
+                startChapterRules(session);
+            } else {
+                stopChapterRules(session);
+            }
+        }
+    }
+}
+
+/**
+ * Applies settings changed on another device
+ * 
+ * With sync enabled, edits made elsewhere arrive as storage.sync changes
+ * rather than as messages from this browser's settings popup.
+ * 
+ * @param {Object} changes - The changed storage keys
+ * @param {string} areaName - The storage area that changed
+ */
+function handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync') return;
+    
+    settingsStorage.isSyncEnabled()
+        .then(syncEnabled => {
+            if (!syncEnabled) return;
+            
+            return settingsStorage.get(DEFAULT_SETTINGS).then(settings => {
+                handleSettingsUpdate({ settings: settings });
+            });
+        })
+        .catch(error => {
+            console.error('Error applying synced settings:', error);
+        });
+}
+
+/**
+ * Sets the settings open state to enable/disable keyboard shortcuts
+ * @param {boolean} isOpen - Whether settings is open
+ */
+function setSettingsOpenState(isOpen) {
+    const indicator = document.querySelector('.custom-speed-indicator');
+    if (indicator) {
+        indicator.setAttribute('data-settings-open', isOpen ? 'true' : 'false');
+    }
+}
+
+/**
+ * Watches for SPA navigation and player changes
+ * 
+ * YouTube fires yt-navigate-finish / yt-page-data-updated on the document
+ * after client-side navigation (including swiping between shorts). A
+ * MutationObserver catches the player's <video> being created or swapped,
+ * which also covers embeds and pages where those events don't fire. It
+ * watches the app (or the embed's page) and ignores mutations that can't
+ * involve the player, as YouTube changes the page constantly.
+ */
+function setupNavigationObserver() {
+    let observedVideo = getPageVideo();
+    let initScheduled = false;
+    
+    // Coalesce bursts of events and mutations into a single init
+    function scheduleInit() {
+        if (initScheduled) return;
+        initScheduled = true;
+        
+        setTimeout(() => {
+            initScheduled = false;
+            observedVideo = getPageVideo();
+            init();
+        }, 0);
+    }
+    
+    document.addEventListener('yt-navigate-finish', scheduleInit);
+    document.addEventListener('yt-page-data-updated', scheduleInit);
+    
+    // Checks whether a node is, or contains, a video or speed button container
+    function isPlayerNode(node) {
+        return node.nodeType === Node.ELEMENT_NODE &&
+            (node.matches(PLAYER_NODE_SELECTOR) || node.querySelector(PLAYER_NODE_SELECTOR) !== null);
+    }
+    
+    const observer = new MutationObserver(mutations => {
+        const relevant = mutations.some(mutation => mutation.type === 'attributes' ||
+            Array.from(mutation.addedNodes).some(isPlayerNode) ||
+            Array.from(mutation.removedNodes).some(isPlayerNode));
+        if (!relevant) return;
+        
+        const video = getPageVideo();
+        if (video !== observedVideo) {
+            // A new player video appeared, the active short changed or the player went away
+            scheduleInit();
+            observedVideo = video;
+        } else if (video && currentSession && currentSession.video === video) {
+            // Player controls can render after the video; add the button once they exist
+            // (this also moves it between the player and the miniplayer)
+            const settings = window._speedControlSettings;
+            if (settings && settings.showResetButton) {
+                createResetSpeedButton(currentSession);
+            }
+        }
+    });
+    
+    observer.observe(document.querySelector('ytd-app') || document.body || document.documentElement, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['is-active', 'miniplayer-is-active'] // Active short and miniplayer state
+    });
 }
 
 // -----------------------------------------------------------------------------
 // STARTUP SEQUENCE
 // -----------------------------------------------------------------------------
 
+// Track which video the user is watching so actions target the right one
+trackVideoInteraction();
+
 // Run main initialization on page load
 init();
 
-// Setup URL observer for navigation changes
-setupUrlObserver();
+// Watch for navigation and player changes
+setupNavigationObserver();
 
 // Add message listener for settings updates
-browser.runtime.onMessage.addListener(handleMessage); 
\ No newline at end of file
+browser.runtime.onMessage.addListener(handleMessage);
+
+// Pick up settings synced from other devices
+browser.storage.onChanged.addListener(handleStorageChange); 
\ No newline at end of file
@@ -0,0 +1,178 @@
+/**
+ * YouTube Speed Control - Embed Bridge
+ *
+ * Runs on pages outside YouTube so that shortcuts pressed in a page which
+ * embeds a YouTube player reach the player's speed logic. The embedded
+ * player lives in a cross-origin iframe with its own copy of content.js,
+ * so matching shortcuts are relayed to it through the background script.
+ *
+ * Only combos the user has bound are forwarded, and only while the page
+ * contains an embedded YouTube player. Settings aren't read and nothing is
+ * bound until the first embed shows up, so other pages are left alone.
+ *
+ * @license MIT
+ * @version 1.0
+ */
+
+(function() {
+    'use strict';
+
+    // Matches youtube.com and youtube-nocookie.com embeds
+    const EMBED_SELECTOR = 'iframe[src*="youtube.com/embed/"], iframe[src*="youtube-nocookie.com/embed/"]';
+
+    // Shortcut settings needed to know which combos to forward
+    const SHORTCUT_SETTINGS = settingsSchema.getDefaults([
+        'enableShortcuts',
+        'shortcuts',
+        'speedPresets',
+        'sequenceTimeout',
+        'enableCountPrefix'
+    ]);
+
+    /**
+     * Checks whether the page currently contains an embedded YouTube player
+     * @returns {boolean} True if an embed iframe is present
+     */
+    function hasEmbeddedPlayer() {
+        return document.querySelector(EMBED_SELECTOR) !== null;
+    }
+
+    /**
+     * Collects every combo bound to a speed action
+     *
+     * A combo is global (forwarded even while typing in the host page's
+     * text fields) if any shortcut using it is global, held if it is
+     * bound to a hold action such as hold-to-boost, and takes step
+     * modifiers if it is bound to a step action such as increase speed.
+     *
+     * @param {Object} settings - The shortcut settings
+     * @returns {Array<{combo: string, global: boolean, hold: boolean, steps: boolean}>} Unique, non-empty combos
+     */
+    function getBoundCombos(settings) {
+        const shortcuts = [];
+        actionRegistry.getActions().forEach(action => {
+            actionRegistry.getBindings(settings.shortcuts, action.id).forEach(binding => {
+                shortcuts.push({ combo: binding.key, global: binding.global === true, hold: action.hold === true, steps: action.steps === true });
+            });
+        });
+
+        if (Array.isArray(settings.speedPresets)) {
+            settings.speedPresets.forEach(preset => shortcuts.push({ combo: preset.key, global: preset.global === true, hold: false, steps: false }));
+        }
+
+        const combos = [];
+        shortcuts.forEach(shortcut => {
+            if (!shortcut.combo) return;
+
+            const existing = combos.find(entry => entry.combo === shortcut.combo);
+            if (existing) {
+                existing.global = existing.global || shortcut.global;
+                existing.hold = existing.hold || shortcut.hold;
+                existing.steps = existing.steps || shortcut.steps;
+            } else {
+                combos.push(shortcut);
+            }
+        });
+
+        return combos;
+    }
+
+    /**
+     * Sends a shortcut to the background script for the embedded players
+     * @param {Object} message - The forwardShortcut message
+     */
+    function forwardShortcut(message) {
+        browser.runtime.sendMessage(message)
+            .catch(error => console.error('Error forwarding shortcut:', error));
+    }
+
+    /**
+     * Binds every configured shortcut to forward it to embedded players
+     */
+    function bindForwardingShortcuts() {
+        settingsStorage.get(SHORTCUT_SETTINGS)
+            .then(settings => {
+                keyHandler.unbindAll();
+                keyHandler.configure({
+                    sequenceTimeout: settings.sequenceTimeout,
+                    countPrefix: settings.enableCountPrefix,
+                    // Don't hold back digits or sequence keys on pages without a player
+                    isActive: hasEmbeddedPlayer
+                });
+
+                if (!settings.enableShortcuts) return;
+
+                getBoundCombos(settings).forEach(({ combo, global, hold, steps }) => {
+                    keyHandler.bind(combo, function(e, count, modifier) {
+                        // Leave the page alone unless there's a player to control
+                        if (!hasEmbeddedPlayer()) return;
+
+                        forwardShortcut({ action: 'forwardShortcut', combo: combo, count: count, modifier: modifier });
+                        return false; // Prevent default and stop propagation
+                    }, {
+                        scope: global ? 'global' : 'page',
+                        action: hold ? 'hold' : 'press',
+                        stepModifiers: steps ? Object.keys(actionRegistry.STEP_MODIFIERS) : [],
+                        counted: steps,
+                        // Tell the player when a held shortcut is let go
+                        onRelease: () => forwardShortcut({ action: 'forwardShortcut', combo: combo, release: true })
+                    });
+                });
+            })
+            .catch(error => {
+                console.error('Error loading shortcut settings:', error);
+            });
+    }
+
+    /**
+     * Checks whether a batch of mutations could have added an embed iframe
+     * @param {Array<MutationRecord>} mutations - Mutations seen by the observer
+     * @returns {boolean} True if an iframe was added or had its src changed
+     */
+    function mayHaveAddedEmbed(mutations) {
+        return mutations.some(mutation => {
+            if (mutation.type === 'attributes') return mutation.target.tagName === 'IFRAME';
+
+            return Array.from(mutation.addedNodes).some(node => node.nodeType === Node.ELEMENT_NODE &&
+                (node.tagName === 'IFRAME' || node.getElementsByTagName('iframe').length > 0));
+        });
+    }
+
+    /**
+     * Calls back once the page contains an embedded YouTube player
+     * @param {Function} callback - Called when the first embed is found
+     */
+    function whenEmbeddedPlayer(callback) {
+        if (hasEmbeddedPlayer()) {
+            callback();
+            return;
+        }
+
+        const observer = new MutationObserver(mutations => {
+            if (!mayHaveAddedEmbed(mutations) || !hasEmbeddedPlayer()) return;
+
+            observer.disconnect();
+            callback();
+        });
+        observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['src']
+        });
+    }
+
+    whenEmbeddedPlayer(() => {
+        bindForwardingShortcuts();
+
+        // Rebind when the user changes their shortcuts (here or, with sync, on another device)
+        browser.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' && areaName !== 'sync') return;
+
+            const shortcutChanged = Object.keys(changes).some(key => key in SHORTCUT_SETTINGS || key === 'syncSettings');
+            if (shortcutChanged) {
+                bindForwardingShortcuts();
+            }
+        });
+    });
+})();
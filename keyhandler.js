@@ -9,6 +9,17 @@
  * - Mouse wheel scrolling (up/down)
  * - Mouse buttons (left, middle/wheel click, right)
  * - Combinations of modifiers with any input
+ * - Key sequences pressed one after another, e.g. 'g 2'
+ * - Numeric count prefixes, e.g. '3' followed by a shortcut bound as
+ *   'counted'; the digits still reach the page
+ * - Binding scopes: keyboard shortcuts are ignored while typing in a
+ *   text field unless bound with the 'global' scope
+ * - Hold bindings that call back again when the key or button is released
+ * - Physical key bindings like 'shift+code:Period', matched by the key's
+ *   position (event.code) so they work the same on every keyboard layout
+ * - Step modifiers: extra modifiers that may be held on top of a binding,
+ *   e.g. 'alt' so that alt+shift+. also fires 'shift+.' and tells the
+ *   callback which modifier was held
  */
 
 (function(window) {
@@ -17,6 +28,46 @@
     // Store for active bindings
     const bindings = [];
     
+    // Incrementing ID so bindings can be unbound individually
+    let nextBindingId = 1;
+    
+    // Options that can be changed with configure()
+    const options = {
+        sequenceTimeout: 1000, // ms to wait for the next key of a sequence
+        countPrefix: false,    // whether digits typed before a shortcut repeat it
+        isActive: null         // optional check; input is ignored while it returns false
+    };
+    
+    // Whether the wheel and mousedown listeners are attached; they only are
+    // while something is bound to that input, so other pages keep their own
+    // wheel and button handling untouched
+    let wheelListening = false;
+    let buttonListening = false;
+    
+    // Hold bindings whose key or mouse button is still down:
+    // { binding, code (key event code), button (mouse button) }
+    const heldBindings = [];
+    
+    // Keys typed so far towards a sequence binding (see getPressedKey), and
+    // the digits of a count prefix
+    let pendingKeys = [];
+    let pendingCount = '';
+    let pendingTimer = null;
+    
+    // Input types that don't take text, so shortcuts still work while they have focus
+    const NON_TEXT_INPUT_TYPES = ['button', 'checkbox', 'color', 'file', 'image', 'radio', 'range', 'reset', 'submit'];
+    
+    // Marks a key matched by its physical position, e.g. 'code:Period'
+    const CODE_PREFIX = 'code:';
+    
+    // Modifier names used in combos, in combo order, and the event property of each
+    const MODIFIER_PROPERTIES = {
+        shift: 'shiftKey',
+        ctrl: 'ctrlKey',
+        alt: 'altKey',
+        cmd: 'metaKey'
+    };
+    
     // Key code mappings for special keys
     const KEY_MAP = {
         // Special keys
@@ -81,6 +132,16 @@
         return combo.toLowerCase().split('+').map(key => key.trim());
     }
     
+    /**
+     * Splits a binding into the combos that are pressed one after another
+     * @param {string} combo - Binding like 'shift+.' or the sequence 'g 2'
+     * @returns {Array<string>} Array of combo strings, one per key press
+     */
+    function parseSequence(combo) {
+        if (!combo) return [];
+        return combo.split(' ').filter(step => step !== '');
+    }
+    
     /**
      * Normalizes a key name
      * @param {string} key - Key name to normalize
@@ -98,17 +159,25 @@
     
     /**
      * Builds a key combo string from an event
+     * 
+     * By default the key is named after the character it types, which
+     * depends on the keyboard layout. With the physical option it is named
+     * after its position instead (event.code), e.g. 'shift+code:Period'.
+     * 
      * @param {Event} event - The keyboard or mouse event
+     * @param {Object} [comboOptions] - Combo options
+     * @param {boolean} [comboOptions.physical=false] - Name keys by position
+     * @param {string} [comboOptions.ignore] - A modifier to leave out, e.g. 'alt'
      * @returns {string} Key combo string like 'shift+ctrl+a'
      */
-    function getComboFromEvent(event) {
+    function getComboFromEvent(event, comboOptions) {
         const keys = [];
+        const ignore = comboOptions && comboOptions.ignore;
         
         // Add modifiers first
-        if (event.shiftKey) keys.push('shift');
-        if (event.ctrlKey) keys.push('ctrl');
-        if (event.altKey) keys.push('alt');
-        if (event.metaKey) keys.push('cmd');
+        Object.keys(MODIFIER_PROPERTIES).forEach(name => {
+            if (event[MODIFIER_PROPERTIES[name]] && name !== ignore) keys.push(name);
+        });
         
         // Handle mouse wheel events
         if (event.type === 'wheel') {
@@ -140,6 +209,11 @@
             return '';
         }
         
+        if (comboOptions && comboOptions.physical && event.code) {
+            keys.push(CODE_PREFIX + event.code);
+            return keys.join('+');
+        }
+        
         // Normalize key name
         key = normalizeKey(key);
         keys.push(key);
@@ -147,24 +221,108 @@
         return keys.join('+');
     }
     
+    /**
+     * Checks whether an element takes typed text
+     * @param {Element} element - The element to check
+     * @returns {boolean} True for text inputs, textareas, selects and contenteditable elements
+     */
+    function isEditableElement(element) {
+        if (!element || element.nodeType !== 1) return false;
+        if (element.isContentEditable) return true;
+        
+        const tag = element.tagName;
+        if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+        if (tag === 'INPUT') return !NON_TEXT_INPUT_TYPES.includes((element.type || '').toLowerCase());
+        
+        return element.getAttribute('role') === 'textbox';
+    }
+    
+    /**
+     * Finds the element that has keyboard focus
+     * 
+     * Follows focus into shadow roots and same-origin iframes, such as
+     * YouTube's live chat.
+     * 
+     * @returns {Element|null} The focused element
+     */
+    function getFocusedElement() {
+        let element = document.activeElement;
+        
+        while (element) {
+            if (element.shadowRoot && element.shadowRoot.activeElement) {
+                element = element.shadowRoot.activeElement;
+            } else if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+                let inner = null;
+                try {
+                    inner = element.contentDocument && element.contentDocument.activeElement;
+                } catch (e) {
+                    // Cross-origin frame; its own content script handles its keys
+                }
+                if (!inner || inner === element.contentDocument.body) break;
+                element = inner;
+            } else {
+                break;
+            }
+        }
+        
+        return element;
+    }
+    
+    /**
+     * Checks whether a key event happened while the user is typing
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {boolean} True if the key goes to a text field
+     */
+    function isTypingEvent(event) {
+        // The first node in the path is the real target, even inside shadow DOM
+        const target = event.composedPath ? event.composedPath()[0] : event.target;
+        return isEditableElement(target) || isEditableElement(getFocusedElement());
+    }
+    
     /**
      * Binds a key combination to a callback function
+     * 
+     * By default keyboard shortcuts stay out of the way while the user types
+     * in a text field. Bind with the 'global' scope to fire there as well.
+     * 
+     * A 'hold' binding runs its callback once when the combo is pressed (key
+     * repeats are swallowed) and onRelease when the key or mouse button comes
+     * back up, or when the window loses focus or the binding is removed.
+     * 
      * @param {string} combo - Key combination like 'shift+a'
      * @param {Function} callback - Function to call when combo is pressed
+     * @param {Object} [bindOptions] - Binding options
+     * @param {string} [bindOptions.scope='page'] - 'page' or 'global'
+     * @param {string} [bindOptions.action='press'] - 'press' or 'hold'
+     * @param {Function} [bindOptions.onRelease] - For hold bindings, called on release
+     * @param {Array<string>} [bindOptions.stepModifiers] - Modifiers that may also be
+     *        held with the last key, e.g. ['alt', 'ctrl']; the callback gets the one
+     *        held as its third argument (null when none is)
+     * @param {boolean} [bindOptions.counted=false] - Whether a count prefix typed before
+     *        the combo is passed to the callback (otherwise its count is always 1)
      * @returns {number} Binding ID that can be used to unbind
      */
-    function bind(combo, callback) {
+    function bind(combo, callback, bindOptions) {
         if (!combo || typeof callback !== 'function') return -1;
         
-        const id = Date.now() + Math.floor(Math.random() * 1000);
-        const keys = parseCombo(combo);
+        const id = nextBindingId++;
+        const keys = parseSequence(combo).map(parseCombo);
+        const isHold = bindOptions && bindOptions.action === 'hold';
         
         bindings.push({
             id: id,
             keys: keys,
+            steps: parseSequence(combo),
             combo: combo,
-            callback: callback
+            scope: bindOptions && bindOptions.scope === 'global' ? 'global' : 'page',
+            action: isHold ? 'hold' : 'press',
+            callback: callback,
+            onRelease: isHold && typeof bindOptions.onRelease === 'function' ? bindOptions.onRelease : null,
+            stepModifiers: bindOptions && Array.isArray(bindOptions.stepModifiers)
+                ? bindOptions.stepModifiers.filter(name => name in MODIFIER_PROPERTIES) : [],
+            counted: !!(bindOptions && bindOptions.counted)
         });
+        updateMouseListeners();
         
         return id;
     }
@@ -181,7 +339,9 @@
         if (typeof idOrCombo === 'number') {
             const index = bindings.findIndex(binding => binding.id === idOrCombo);
             if (index !== -1) {
-                bindings.splice(index, 1);
+                const removed = bindings.splice(index, 1)[0];
+                releaseHeld(entry => entry.binding === removed, null);
+                updateMouseListeners();
                 return true;
             }
             return false;
@@ -191,10 +351,12 @@
         let found = false;
         for (let i = bindings.length - 1; i >= 0; i--) {
             if (bindings[i].combo === idOrCombo) {
-                bindings.splice(i, 1);
+                const removed = bindings.splice(i, 1)[0];
+                releaseHeld(entry => entry.binding === removed, null);
                 found = true;
             }
         }
+        updateMouseListeners();
         return found;
     }
     
@@ -203,6 +365,257 @@
      */
     function unbindAll() {
         bindings.length = 0;
+        clearPending();
+        releaseHeld(() => true, null);
+        updateMouseListeners();
+    }
+    
+    /**
+     * Changes how sequences and count prefixes are handled
+     * @param {Object} newOptions - Any of:
+     *   sequenceTimeout {number} - ms to wait for the next key of a sequence
+     *   countPrefix {boolean} - whether digits typed before a shortcut repeat it
+     *   isActive {Function|null} - input is ignored while this returns false
+     */
+    function configure(newOptions) {
+        if (!newOptions) return;
+        
+        if (typeof newOptions.sequenceTimeout === 'number' && newOptions.sequenceTimeout > 0) {
+            options.sequenceTimeout = newOptions.sequenceTimeout;
+        }
+        if (typeof newOptions.countPrefix === 'boolean') {
+            options.countPrefix = newOptions.countPrefix;
+        }
+        if (typeof newOptions.isActive === 'function' || newOptions.isActive === null) {
+            options.isActive = newOptions.isActive;
+        }
+        
+        clearPending();
+    }
+    
+    /**
+     * Runs the callbacks bound to a combo without a real input event
+     * 
+     * Used for shortcuts captured elsewhere, such as a key pressed in the
+     * page that hosts an embedded player.
+     * 
+     * @param {string} combo - Key combo or sequence string like 'shift+.'
+     * @param {number} [count=1] - Repeat count typed before the shortcut
+     * @param {string|null} [modifier=null] - Step modifier held on top of the combo
+     * @returns {boolean} True if any binding matched
+     */
+    function trigger(combo, count = 1, modifier = null) {
+        const matches = bindings.filter(binding => binding.combo === combo);
+        runBindings(matches, null, count, modifier);
+        return matches.length > 0;
+    }
+    
+    /**
+     * Ends held hold bindings, calling their onRelease callbacks
+     * 
+     * For shortcuts captured elsewhere, such as a key released in the page
+     * that hosts an embedded player.
+     * 
+     * @param {string} combo - Key combo string of the held binding
+     * @returns {boolean} True if a held binding was released
+     */
+    function release(combo) {
+        return releaseHeld(entry => entry.binding.combo === combo, null);
+    }
+    
+    /**
+     * Ends the held bindings that match a test
+     * @param {Function} test - Receives a held entry, returns true to release it
+     * @param {Event|null} event - The keyup or mouseup event, if any
+     * @returns {boolean} True if anything was released
+     */
+    function releaseHeld(test, event) {
+        let released = false;
+        
+        for (const entry of heldBindings.slice()) {
+            if (!test(entry)) continue;
+            
+            heldBindings.splice(heldBindings.indexOf(entry), 1);
+            released = true;
+            
+            if (entry.binding.onRelease) {
+                entry.binding.onRelease(event);
+            }
+        }
+        
+        return released;
+    }
+    
+    /**
+     * Calls the callbacks of matched bindings
+     * 
+     * Callbacks receive the event (null when there is none), the repeat
+     * count, which is 1 unless a count prefix was typed, and the step
+     * modifier held on top of the binding, if the binding accepts it.
+     * Hold bindings are remembered until their key or button is released.
+     * 
+     * @param {Array<Object>} matches - The bindings to run
+     * @param {Event|null} event - The input event that completed the shortcut
+     * @param {number} count - The repeat count
+     * @param {string|null} [modifier=null] - The step modifier that was held
+     */
+    function runBindings(matches, event, count, modifier = null) {
+        // Copy first in case a callback changes the bindings
+        for (const binding of matches.slice()) {
+            if (binding.action === 'hold') {
+                // Key repeats while holding don't start the action again
+                if (heldBindings.some(entry => entry.binding === binding)) {
+                    if (event) {
+                        event.preventDefault();
+                        event.stopPropagation();
+                    }
+                    continue;
+                }
+                
+                heldBindings.push({
+                    binding: binding,
+                    code: event && event.type === 'keydown' ? (event.code || event.key) : null,
+                    button: event && event.type === 'mousedown' ? event.button : null
+                });
+            }
+            
+            const stepModifier = binding.stepModifiers.includes(modifier) ? modifier : null;
+            const result = binding.callback(event, binding.counted ? count : 1, stepModifier);
+            
+            // Prevent default behavior if callback returned false
+            if (result === false && event) {
+                event.preventDefault();
+                event.stopPropagation();
+            }
+        }
+    }
+    
+    /**
+     * Describes a key press by both of the combos a binding may use for it
+     * @param {KeyboardEvent|MouseEvent} event - The keydown, wheel or mousedown event
+     * @param {string} [ignore] - A held modifier to leave out of the combos
+     * @returns {{key: string, code: string}} The character and physical combos
+     */
+    function getPressedKey(event, ignore) {
+        return {
+            key: getComboFromEvent(event, { ignore: ignore }),
+            code: getComboFromEvent(event, { physical: true, ignore: ignore })
+        };
+    }
+    
+    /**
+     * Checks whether the keys typed so far start a binding's sequence
+     * @param {Object} binding - The binding to check
+     * @param {Array<Object>} pressed - Keys typed so far (see getPressedKey)
+     * @returns {boolean} True if each key matches the binding's step at its position
+     */
+    function startsSequence(binding, pressed) {
+        return pressed.length <= binding.steps.length && pressed.every((keys, i) =>
+            binding.steps[i] === keys.key || binding.steps[i] === keys.code);
+    }
+    
+    /**
+     * Finds the bindings whose whole sequence is the keys typed so far
+     * @param {Array<Object>} pressed - Keys typed so far (see getPressedKey)
+     * @param {Array<Object>} candidates - The bindings that may fire
+     * @returns {Array<Object>} The matching bindings
+     */
+    function findSequenceMatches(pressed, candidates) {
+        return candidates.filter(binding =>
+            binding.steps.length === pressed.length && startsSequence(binding, pressed));
+    }
+    
+    /**
+     * Finds the bindings that the keys typed so far complete
+     * 
+     * Bindings matching the keys exactly win. Otherwise the last key may have
+     * one extra modifier held, if it is one of the binding's step modifiers.
+     * 
+     * @param {Array<Object>} pressed - Keys typed so far (see getPressedKey)
+     * @param {Array<Object>} candidates - The bindings that may fire
+     * @param {Event} event - The event of the last key or mouse button
+     * @returns {{matches: Array<Object>, modifier: (string|null)}} The matching
+     *          bindings and the step modifier held on top of them
+     */
+    function findMatches(pressed, candidates, event) {
+        const exact = findSequenceMatches(pressed, candidates);
+        if (exact.length > 0) return { matches: exact, modifier: null };
+        
+        for (const modifier of Object.keys(MODIFIER_PROPERTIES)) {
+            if (!event[MODIFIER_PROPERTIES[modifier]]) continue;
+            
+            const withoutModifier = pressed.slice(0, -1).concat(getPressedKey(event, modifier));
+            const matches = findSequenceMatches(withoutModifier, candidates)
+                .filter(binding => binding.stepModifiers.includes(modifier));
+            if (matches.length > 0) return { matches: matches, modifier: modifier };
+        }
+        
+        return { matches: [], modifier: null };
+    }
+    
+    /**
+     * Checks whether any binding is a longer sequence starting with the given keys
+     * @param {Array<Object>} pressed - Keys typed so far (see getPressedKey)
+     * @param {Array<Object>} candidates - The bindings that may fire
+     * @returns {boolean} True if more keys could complete a binding
+     */
+    function hasLongerSequence(pressed, candidates) {
+        return candidates.some(binding =>
+            binding.steps.length > pressed.length && startsSequence(binding, pressed));
+    }
+    
+    /**
+     * Returns the typed count prefix and forgets it
+     * @returns {number} The count, or 1 if none was typed
+     */
+    function takeCount() {
+        const count = parseInt(pendingCount, 10) || 1;
+        pendingCount = '';
+        return count;
+    }
+    
+    /**
+     * Checks whether input should currently be matched against the bindings
+     * @returns {boolean} False while the isActive option says to stay out of the way
+     */
+    function isActive() {
+        return !options.isActive || options.isActive() === true;
+    }
+    
+    /**
+     * Forgets any partly typed sequence and count prefix
+     */
+    function clearPending() {
+        pendingKeys = [];
+        pendingCount = '';
+        if (pendingTimer) {
+            clearTimeout(pendingTimer);
+            pendingTimer = null;
+        }
+    }
+    
+    /**
+     * Ends a partly typed sequence
+     * 
+     * If the keys typed so far are a binding of their own (e.g. 'g' while
+     * 'g 2' is also bound), that binding runs now.
+     */
+    function flushPending() {
+        const pressed = pendingKeys;
+        const count = takeCount();
+        clearPending();
+        
+        if (pressed.length > 0) {
+            runBindings(findSequenceMatches(pressed, bindings), null, count);
+        }
+    }
+    
+    /**
+     * (Re)starts the wait for the next key of a sequence or count
+     */
+    function restartPendingTimer() {
+        if (pendingTimer) clearTimeout(pendingTimer);
+        pendingTimer = setTimeout(flushPending, options.sequenceTimeout);
     }
     
     /**
@@ -221,27 +634,62 @@
             else if (event.key === 'Control') modifierState.ctrl = false;
             else if (event.key === 'Alt') modifierState.alt = false;
             else if (event.key === 'Meta') modifierState.meta = false;
+            
+            // Releasing the key of a hold binding ends it (the code stays the
+            // same even if a modifier was let go first and changed the key)
+            const code = event.code || event.key;
+            releaseHeld(entry => entry.code === code, event);
         }
         
         // Only process on keydown
         if (event.type !== 'keydown') return;
         
-        const combo = getComboFromEvent(event);
-        if (!combo) return;
+        const pressedKey = getPressedKey(event);
+        const combo = pressedKey.key;
+        if (!combo || !isActive()) return;
         
-        // Check if combo matches any bindings
-        for (const binding of bindings) {
-            if (binding.combo === combo) {
-                // Matched! Execute callback
-                const result = binding.callback(event);
-                
-                // Prevent default behavior if callback returned false
-                if (result === false) {
-                    event.preventDefault();
-                    event.stopPropagation();
-                }
+        // While typing in a text field only global bindings fire
+        const typing = isTypingEvent(event);
+        const candidates = typing ? bindings.filter(binding => binding.scope === 'global') : bindings;
+        
+        // A key that doesn't continue the pending sequence ends it
+        if (pendingKeys.length > 0) {
+            const continued = pendingKeys.concat(pressedKey);
+            if (!hasLongerSequence(continued, candidates) && findMatches(continued, candidates, event).matches.length === 0) {
+                flushPending();
             }
         }
+        
+        const sequence = pendingKeys.concat(pressedKey);
+        
+        // Wait for the next key if a longer sequence could still match
+        if (hasLongerSequence(sequence, candidates)) {
+            pendingKeys.push(pressedKey);
+            restartPendingTimer();
+            event.preventDefault();
+            event.stopPropagation();
+            return;
+        }
+        
+        const found = findMatches(sequence, candidates, event);
+        if (found.matches.length > 0) {
+            const count = takeCount();
+            clearPending();
+            runBindings(found.matches, event, count, found.modifier);
+            return;
+        }
+        
+        // Digits typed before a counted shortcut are its repeat count (but not digits
+        // typed as text). They still reach the page, whose own digit keys (YouTube's
+        // seeking) keep working; any other key ends the count.
+        if (options.countPrefix && !typing && /^[0-9]$/.test(combo) && (pendingCount || combo !== '0') &&
+                candidates.some(binding => binding.counted)) {
+            pendingCount += combo;
+            restartPendingTimer();
+            return;
+        }
+        
+        clearPending();
     }
     
     /**
@@ -250,42 +698,35 @@
      */
     function handleMouseEvent(event) {
         const combo = getComboFromEvent(event);
-        if (!combo) return;
+        if (!combo || !isActive()) return;
         
-        // Check if combo matches any bindings
-        for (const binding of bindings) {
-            if (binding.combo === combo) {
-                // Matched! Execute callback
-                const result = binding.callback(event);
-                
-                // Event defaults are already prevented in the calling code
-                // when we've verified the combo is bound
-                return;
-            }
+        // Check if combo matches any bindings, possibly with a step modifier held
+        const found = findMatches([getPressedKey(event)], bindings, event);
+        if (found.matches.length > 0) {
+            // Matched! Execute the first binding's callback with any typed count prefix
+            const count = takeCount();
+            clearPending();
+            runBindings(found.matches.slice(0, 1), event, count, found.modifier);
+            
+            // Event defaults are already prevented in the calling code
+            // when we've verified the combo is bound
         }
     }
     
     // Set up global event listeners
     document.addEventListener('keydown', handleKeyEvent, true);
     document.addEventListener('keyup', handleKeyEvent, true);
-    document.addEventListener('wheel', handleMouseEvent, { passive: false, capture: true });
     
-    // Only add mousedown for specific mouse buttons - not left click (button 0)
-    // This ensures we don't interfere with normal play/pause click behavior
-    document.addEventListener('mousedown', (event) => {
+    /**
+     * Handles mouse button presses, leaving the left button alone so normal
+     * play/pause clicks keep working
+     * @param {MouseEvent} event - The mousedown event
+     */
+    function handleMouseDown(event) {
         // Only process non-left clicks (middle, right, etc.)
-        if (event.button !== 0) {
-            // Get the combo string for this event
-            const combo = getComboFromEvent(event);
-            
-            // Check if this combo is bound to anything before preventing defaults
-            let comboBound = false;
-            for (const binding of bindings) {
-                if (binding.combo === combo) {
-                    comboBound = true;
-                    break;
-                }
-            }
+        if (event.button !== 0 && isActive()) {
+            // Check if this button is bound to anything before preventing defaults
+            const comboBound = findMatches([getPressedKey(event)], bindings, event).matches.length > 0;
             
             // Only if we have a binding for this combo, handle it and prevent defaults
             if (comboBound) {
@@ -296,13 +737,52 @@
             }
             // Otherwise, let the browser handle it normally (middle-click scrolling, etc.)
         }
+    }
+    
+    /**
+     * Adds or removes the wheel and mousedown listeners to match the current bindings
+     */
+    function updateMouseListeners() {
+        const inputs = bindings.flatMap(binding => binding.steps.map(step => step.split('+').pop()));
+        const needsWheel = inputs.some(key => key === 'wheel_up' || key === 'wheel_down');
+        const needsButtons = inputs.some(key => key === 'middle_click' || /^mouse\d+$/.test(key));
+        
+        if (needsWheel !== wheelListening) {
+            if (needsWheel) {
+                document.addEventListener('wheel', handleMouseEvent, { passive: false, capture: true });
+            } else {
+                document.removeEventListener('wheel', handleMouseEvent, true);
+            }
+            wheelListening = needsWheel;
+        }
+        if (needsButtons !== buttonListening) {
+            if (needsButtons) {
+                document.addEventListener('mousedown', handleMouseDown, true);
+            } else {
+                document.removeEventListener('mousedown', handleMouseDown, true);
+            }
+            buttonListening = needsButtons;
+        }
+    }
+    
+    // Releasing the mouse button of a hold binding ends it
+    document.addEventListener('mouseup', (event) => {
+        releaseHeld(entry => entry.button === event.button, event);
     }, true);
     
+    // Keyup and mouseup never arrive once the window loses focus, so end holds then
+    window.addEventListener('blur', () => {
+        releaseHeld(() => true, null);
+    });
+    
     // Public API
     window.keyHandler = {
         bind: bind,
         unbind: unbind,
         unbindAll: unbindAll,
+        configure: configure,
+        trigger: trigger,
+        release: release,
         getComboFromEvent: getComboFromEvent
     };
     
@@ -25,19 +25,147 @@ document.addEventListener('DOMContentLoaded', () => {
     const elements = {
         slider: document.getElementById('incrementSlider'),
         valueDisplay: document.querySelector('.value-display'),
-        increaseSpeedKey: document.getElementById('increaseSpeedKey'),
-        decreaseSpeedKey: document.getElementById('decreaseSpeedKey'),
-        resetSpeedKey: document.getElementById('resetSpeedKey'),
+        stepMode: document.getElementById('stepMode'),
+        linearStepSettings: document.getElementById('linearStepSettings'),
+        multiplicativeStepSettings: document.getElementById('multiplicativeStepSettings'),
+        ladderStepSettings: document.getElementById('ladderStepSettings'),
+        stepMultiplierInput: document.getElementById('stepMultiplierInput'),
+        speedLadderInput: document.getElementById('speedLadderInput'),
+        minSpeedInput: document.getElementById('minSpeedInput'),
+        maxSpeedInput: document.getElementById('maxSpeedInput'),
+        capAudibleSpeedToggle: document.getElementById('capAudibleSpeedToggle'),
+        actionList: document.getElementById('actionList'),
         enableShortcutsToggle: document.getElementById('enableShortcutsToggle'),
+        enableCountPrefixToggle: document.getElementById('enableCountPrefixToggle'),
+        sequenceTimeoutInput: document.getElementById('sequenceTimeoutInput'),
+        recordPhysicalKeysToggle: document.getElementById('recordPhysicalKeysToggle'),
+        holdBoostSpeedInput: document.getElementById('holdBoostSpeedInput'),
+        fineStepInput: document.getElementById('fineStepInput'),
+        coarseStepInput: document.getElementById('coarseStepInput'),
+        shortcutConflict: document.getElementById('shortcutConflict'),
         persistSpeedToggle: document.getElementById('persistSpeedToggle'),
         showResetButtonToggle: document.getElementById('showResetButtonToggle'),
         enableSpeedPopupToggle: document.getElementById('enableSpeedPopupToggle'),
         showInitialSpeedPopupToggle: document.getElementById('showInitialSpeedPopupToggle'),
         popupPosition: document.getElementById('popupPosition'),
         popupSettings: document.getElementById('popupSettings'),
-        resetAllSettings: document.getElementById('resetAllSettings')
+        resetAllSettings: document.getElementById('resetAllSettings'),
+        rememberChannelSpeedToggle: document.getElementById('rememberChannelSpeedToggle'),
+        channelSpeedList: document.getElementById('channelSpeedList'),
+        preservePitchToggle: document.getElementById('preservePitchToggle'),
+        pitchMinSpeedInput: document.getElementById('pitchMinSpeedInput'),
+        pitchMaxSpeedInput: document.getElementById('pitchMaxSpeedInput'),
+        skipSilenceToggle: document.getElementById('skipSilenceToggle'),
+        silenceSpeedInput: document.getElementById('silenceSpeedInput'),
+        silenceThresholdSlider: document.getElementById('silenceThresholdSlider'),
+        silenceThresholdValue: document.getElementById('silenceThresholdValue'),
+        silenceDelayInput: document.getElementById('silenceDelayInput'),
+        presetList: document.getElementById('presetList'),
+        addPreset: document.getElementById('addPreset'),
+        enableChapterRulesToggle: document.getElementById('enableChapterRulesToggle'),
+        chapterRuleList: document.getElementById('chapterRuleList'),
+        addChapterRule: document.getElementById('addChapterRule'),
+        statsSaved: document.getElementById('statsSaved'),
+        statsToday: document.getElementById('statsToday'),
+        statsAverage: document.getElementById('statsAverage'),
+        statsWatched: document.getElementById('statsWatched'),
+        statsChannelList: document.getElementById('statsChannelList'),
+        clearStats: document.getElementById('clearStats'),
+        exportSettings: document.getElementById('exportSettings'),
+        importSettings: document.getElementById('importSettings'),
+        importFile: document.getElementById('importFile'),
+        importErrors: document.getElementById('importErrors'),
+        syncSettingsToggle: document.getElementById('syncSettingsToggle'),
+        syncConflict: document.getElementById('syncConflict'),
+        syncError: document.getElementById('syncError')
     };
     
+    // Valid range for manually edited speeds
+    const MIN_SPEED = settingsSchema.MIN_SPEED;
+    const MAX_SPEED = settingsSchema.MAX_SPEED;
+    
+    // Presets currently shown in the list
+    let speedPresets = [];
+    
+    // Bindings of each action, as stored in the shortcuts setting (see actionregistry.js)
+    let shortcuts = {};
+    
+    // Chapter rules currently shown in the list
+    let chapterRules = [];
+    
+    // Restores the button of a recorded shortcut that is waiting on a conflict choice
+    let restorePendingShortcut = null;
+    
+    // The extension's browser-wide shortcuts (see loadBrowserCommands)
+    let browserCommands = [];
+    
+    // Key names used in browser command shortcuts that keyHandler names differently
+    const COMMAND_KEYS = {
+        'Comma': ',',
+        'Period': '.',
+        'Up': 'arrowup',
+        'Down': 'arrowdown',
+        'Left': 'arrowleft',
+        'Right': 'arrowright'
+    };
+    
+    // Modifier names in the order keyHandler puts them in a combo
+    const COMBO_MODIFIERS = ['shift', 'ctrl', 'alt', 'cmd'];
+    
+    // YouTube's own keyboard shortcuts, keyed by combo as keyHandler builds them.
+    // Shift + > and Shift + < are left out: the speed shortcuts replace them on purpose.
+    const YOUTUBE_SHORTCUTS = {
+        'k': 'Play/pause',
+        'space': 'Play/pause',
+        'j': 'Rewind 10 seconds',
+        'l': 'Forward 10 seconds',
+        'arrowleft': 'Rewind 5 seconds',
+        'arrowright': 'Forward 5 seconds',
+        'arrowup': 'Volume up',
+        'arrowdown': 'Volume down',
+        'm': 'Mute',
+        'f': 'Full screen',
+        't': 'Theater mode',
+        'i': 'Miniplayer',
+        'c': 'Captions',
+        'shift+n': 'Next video',
+        'shift+p': 'Previous video',
+        ',': 'Previous frame',
+        '.': 'Next frame',
+        'home': 'Jump to start',
+        'end': 'Jump to end',
+        '/': 'Search'
+    };
+    for (let digit = 0; digit <= 9; digit++) {
+        YOUTUBE_SHORTCUTS[String(digit)] = `Jump to ${digit * 10}%`;
+    }
+    
+    // Characters the keyboard layout types on each physical key (event.code),
+    // from navigator.keyboard where supported and otherwise learned from key presses
+    let layoutMap = null;
+    let keyLabels = {};
+    
+    // US-layout names for physical keys, used until the user's layout is known
+    const PHYSICAL_KEY_NAMES = {
+        Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']',
+        Backslash: '\\', IntlBackslash: '\\', Semicolon: ';', Quote: "'",
+        Comma: ',', Period: '.', Slash: '/', Space: 'Space',
+        ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right'
+    };
+    
+    // Storage key for viewing statistics (matches STATS_STORAGE_KEY in background.js)
+    const STATS_STORAGE_KEY = 'speedStats';
+    
+    // Number of channels shown in the statistics breakdown
+    const STATS_CHANNELS_SHOWN = 10;
+    
+    // Identifies exported settings files and the version of their layout
+    const SETTINGS_FILE_FORMAT = 'youtube-speed-control-settings';
+    const SETTINGS_FILE_VERSION = 1;
+    
+    // Whether this page was opened in a tab rather than as the toolbar popup
+    const isOpenInTab = new URLSearchParams(window.location.search).has('tab');
+    
     // Create floating status indicator
     let statusIndicator = document.getElementById('statusIndicator');
     if (!statusIndicator) {
@@ -54,14 +182,36 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add CSS for animations
     addAnimationStyles();
     
-    // Initialize the UI
-    loadSettings();
+    // Initialize the UI (physical shortcuts are named after the keyboard layout, so read it first)
+    Promise.all([loadKeyboardLayout(), loadBrowserCommands()]).then(loadSettings);
+    loadStats();
+    settingsStorage.getSyncError().then(showSyncError);
+    
+    // Settings saved from a YouTube tab may fail to sync while the popup is open
+    browser.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[settingsStorage.SYNC_ERROR_KEY]) {
+            showSyncError(changes[settingsStorage.SYNC_ERROR_KEY].newValue);
+        }
+    });
+    
+    // Pitch correction can also be switched by a shortcut in a YouTube tab
+    browser.runtime.onMessage.addListener(message => {
+        if (message.action === 'settingsChanged' && message.settings) {
+            elements.preservePitchToggle.checked = message.settings.preservePitch;
+        }
+    });
     
     // Add animations for card hover effects
     initializeCardAnimations();
     
     // Add event listeners
     setupEventListeners();
+    
+    // Coming from the popup's Import button: bring the import controls into view
+    if (isOpenInTab && window.location.hash === '#import') {
+        elements.importSettings.scrollIntoView({ block: 'center' });
+        elements.importSettings.focus();
+    }
 
     // -----------------------------------------------------------------------------
     // COMMUNICATION WITH CONTENT SCRIPT
@@ -70,52 +220,31 @@ document.addEventListener('DOMContentLoaded', () => {
     /**
      * Notifies content script about settings panel state (open/closed)
      * 
-     * Sends a message to all YouTube tabs to inform them about
-     * the settings panel being opened or closed.
+     * The background script passes it on to every tab, so YouTube players
+     * embedded in other sites are told too.
      * 
      * @param {string} action - The action to notify ('settingsOpened' or 'settingsClosed')
      */
     function notifyContentScriptSettingsState(action) {
-        browser.tabs.query({ url: "*://*.youtube.com/*" })
-            .then(tabs => {
-                if (tabs.length > 0) {
-                    tabs.forEach(tab => {
-                        browser.tabs.sendMessage(tab.id, { action: action })
-                            .catch(error => {
-                                console.log(`Could not notify tab ${tab.id}: ${error.message}`);
-                            });
-                    });
-                }
-            })
+        browser.runtime.sendMessage({ action: action })
             .catch(error => {
-                console.error('Error querying tabs:', error);
+                console.error('Error notifying tabs:', error);
             });
     }
 
     /**
-     * Notifies all YouTube tabs about settings changes
+     * Notifies all YouTube players about settings changes
      * 
-     * Sends the updated settings to all active YouTube tabs
-     * so they can apply the new configuration immediately.
+     * Sends the updated settings through the background script to every
+     * tab, including players embedded in other sites, so they can apply
+     * the new configuration immediately.
      * 
      * @param {Object} settings - The settings object to send
      */
     function notifyTabsAboutSettingsChange(settings) {
-        browser.tabs.query({ url: '*://*.youtube.com/*' })
-            .then(tabs => {
-                if (tabs.length > 0) {
-                    tabs.forEach(tab => {
-                        browser.tabs.sendMessage(tab.id, { 
-                            action: 'settingsUpdated',
-                            settings: settings
-                        }).catch(error => {
-                            console.log(`Could not notify tab ${tab.id}: ${error.message}`);
-                        });
-                    });
-                }
-            })
+        browser.runtime.sendMessage({ action: 'settingsChanged', settings: settings })
             .catch(error => {
-                console.error('Error querying tabs:', error);
+                console.error('Error notifying tabs:', error);
             });
     }
 
@@ -126,63 +255,45 @@ document.addEventListener('DOMContentLoaded', () => {
     /**
      * Loads all settings from storage and updates the UI
      * 
-     * Retrieves stored preferences from browser.storage.local and
+     * Retrieves stored preferences through settingsStorage and
      * updates the UI elements to reflect those settings.
-     * Falls back to default values if settings aren't found.
+     * Missing or invalid settings come back as their schema defaults.
      */
     function loadSettings() {
-        browser.storage.local.get([
-            'speedIncrement', 
-            'persistSpeed', 
-            'showResetButton', 
-            'enableSpeedPopup',
-            'showInitialSpeedPopup',
-            'popupPosition',
-            'enableShortcuts'
-        ])
+        settingsStorage.get(settingsSchema.getDefaults())
         .then(result => {
             // Load increment slider
-            if (result.speedIncrement) {
-                const sliderValue = incrementToSlider(result.speedIncrement);
-                elements.slider.value = sliderValue;
-                updateDisplay(result.speedIncrement);
-            } else {
-                // Default value
-                elements.slider.value = 5; // 0.25x (5 * 0.05 = 0.25)
-                updateDisplay(0.25);
-            }
-            
-            // Load enable shortcuts toggle state
-            if (result.enableShortcuts !== undefined) {
-                elements.enableShortcutsToggle.checked = result.enableShortcuts;
-            } else {
-                // Default to true if not set
-                elements.enableShortcutsToggle.checked = true;
-            }
+            elements.slider.value = incrementToSlider(result.speedIncrement);
+            updateDisplay(result.speedIncrement);
             
-            // Load persist speed toggle state
-            if (result.persistSpeed !== undefined) {
-                elements.persistSpeedToggle.checked = result.persistSpeed;
-            } else {
-                // Default to false if not set (per DEFAULT_SETTINGS)
-                elements.persistSpeedToggle.checked = false;
-            }
+            // Load the step mode
+            elements.stepMode.value = result.stepMode;
+            elements.stepMultiplierInput.value = result.stepMultiplier;
+            elements.speedLadderInput.value = result.speedLadder.join(', ');
+            elements.speedLadderInput.classList.remove('invalid');
+            updateStepModeSettings();
             
-            // Load reset button toggle state
-            if (result.showResetButton !== undefined) {
-                elements.showResetButtonToggle.checked = result.showResetButton;
-            } else {
-                // Default to true if not set
-                elements.showResetButtonToggle.checked = true;
-            }
+            // Load the speed range
+            elements.minSpeedInput.value = result.minSpeed;
+            elements.maxSpeedInput.value = result.maxSpeed;
+            elements.minSpeedInput.classList.remove('invalid');
+            elements.maxSpeedInput.classList.remove('invalid');
+            elements.capAudibleSpeedToggle.checked = result.capAudibleSpeed;
             
-            // Load enable speed popup toggle state
-            if (result.enableSpeedPopup !== undefined) {
-                elements.enableSpeedPopupToggle.checked = result.enableSpeedPopup;
-            } else {
-                // Default to true if not set
-                elements.enableSpeedPopupToggle.checked = true;
-            }
+            // Load toggle states
+            elements.enableShortcutsToggle.checked = result.enableShortcuts;
+            elements.enableCountPrefixToggle.checked = result.enableCountPrefix;
+            elements.sequenceTimeoutInput.value = result.sequenceTimeout;
+            elements.recordPhysicalKeysToggle.checked = result.recordPhysicalKeys;
+            keyLabels = result.keyLabels;
+            shortcuts = result.shortcuts;
+            renderActionList();
+            elements.holdBoostSpeedInput.value = result.holdBoostSpeed;
+            elements.fineStepInput.value = result.fineStep;
+            elements.coarseStepInput.value = result.coarseStep;
+            elements.persistSpeedToggle.checked = result.persistSpeed;
+            elements.showResetButtonToggle.checked = result.showResetButton;
+            elements.enableSpeedPopupToggle.checked = result.enableSpeedPopup;
             
             // Update popup settings visibility based on enableSpeedPopup
             if (elements.enableSpeedPopupToggle.checked) {
@@ -195,26 +306,37 @@ document.addEventListener('DOMContentLoaded', () => {
                 elements.popupSettings.style.opacity = '0';
             }
             
-            // Load initial speed popup toggle state
-            if (result.showInitialSpeedPopup !== undefined) {
-                elements.showInitialSpeedPopupToggle.checked = result.showInitialSpeedPopup;
-            } else {
-                // Default to false if not set (per DEFAULT_SETTINGS)
-                elements.showInitialSpeedPopupToggle.checked = false;
-            }
+            // Load speed popup settings
+            elements.showInitialSpeedPopupToggle.checked = result.showInitialSpeedPopup;
+            elements.popupPosition.value = result.popupPosition;
             
-            // Load popup position
-            if (result.popupPosition) {
-                elements.popupPosition.value = result.popupPosition;
-            } else {
-                // Default to center if not set
-                elements.popupPosition.value = 'center';
-            }
+            // Load remember channel speed toggle state and stored channel speeds
+            elements.rememberChannelSpeedToggle.checked = result.rememberChannelSpeed;
+            renderChannelSpeeds(result.channelSpeeds);
+            
+            // Load pitch correction settings
+            elements.preservePitchToggle.checked = result.preservePitch;
+            elements.pitchMinSpeedInput.value = result.pitchMinSpeed;
+            elements.pitchMaxSpeedInput.value = result.pitchMaxSpeed;
+            
+            // Load silence skipping settings
+            elements.skipSilenceToggle.checked = result.skipSilence;
+            elements.silenceSpeedInput.value = result.silenceSpeed;
+            elements.silenceThresholdSlider.value = result.silenceThreshold;
+            elements.silenceThresholdValue.textContent = elements.silenceThresholdSlider.value + ' dB';
+            elements.silenceDelayInput.value = result.silenceDelay;
             
-            // Load key bindings
-            loadButtonText(elements.increaseSpeedKey);
-            loadButtonText(elements.decreaseSpeedKey);
-            loadButtonText(elements.resetSpeedKey);
+            // Load speed presets
+            speedPresets = result.speedPresets;
+            renderPresets();
+            
+            // Load chapter rules
+            elements.enableChapterRulesToggle.checked = result.enableChapterRules;
+            chapterRules = result.chapterRules;
+            renderChapterRules();
+            
+            // Load sync toggle state (stored per device)
+            elements.syncSettingsToggle.checked = result.syncSettings;
         })
         .catch(error => {
             console.error('Error loading settings:', error);
@@ -225,18 +347,18 @@ document.addEventListener('DOMContentLoaded', () => {
     /**
      * Saves settings to storage and notifies content scripts
      * 
-     * Persists settings to browser.storage.local and sends notifications
+     * Persists settings through settingsStorage and sends notifications
      * to all active YouTube tabs about the changed settings.
      * 
      * @param {Object} settings - Settings object to save
      */
     function saveSettings(settings) {
-        browser.storage.local.set(settings)
+        settingsStorage.set(settings)
             .then(() => {
                 showStatus('Settings saved');
                 
                 // Get all current settings to send a complete settings object
-                browser.storage.local.get().then(allSettings => {
+                settingsStorage.get().then(allSettings => {
                     // Merge new settings with all existing settings
                     const mergedSettings = { ...allSettings, ...settings };
                     console.log('Sending updated settings to tabs:', mergedSettings);
@@ -256,45 +378,26 @@ document.addEventListener('DOMContentLoaded', () => {
      * 
      * Restores all extension settings to the original defaults,
      * updates the UI accordingly, and notifies all active tabs.
-     * Also ensures that lastSpeed is at least the minimum increment.
+     * Also ensures that lastSpeed is within the default speed range.
      */
     function resetAllToDefaults() {
+        // Device-specific state (last speed, channel speeds, sync) is kept
+        const defaultSettings = settingsSchema.getDefaults(settingsSchema.getPreferenceKeys());
+        
         // Get the current last speed to see if we need to update it
         browser.storage.local.get('lastSpeed').then(result => {
-            const defaultSettings = {
-                speedIncrement: 0.25,
-                increaseSpeedKey: 'shift+.',
-                decreaseSpeedKey: 'shift+,',
-                resetSpeedKey: 'shift+?',
-                persistSpeed: false,
-                showResetButton: true,
-                enableSpeedPopup: true,
-                showInitialSpeedPopup: false,
-                popupPosition: 'center',
-                enableShortcuts: true
-            };
-            
-            // If lastSpeed exists and is less than the default minimum, update it
-            if (result.lastSpeed && result.lastSpeed < defaultSettings.speedIncrement) {
-                defaultSettings.lastSpeed = defaultSettings.speedIncrement;
+            // If lastSpeed exists and is outside the default range, bring it within
+            if (result.lastSpeed) {
+                const range = settingsSchema.getSpeedRange(defaultSettings);
+                if (result.lastSpeed < range.min || result.lastSpeed > range.max) {
+                    defaultSettings.lastSpeed = Math.max(range.min, Math.min(range.max, result.lastSpeed));
+                }
             }
             
             // Continue with the reset using our updated defaultSettings
             completeReset(defaultSettings);
         }).catch(error => {
             // In case of error, just use the standard defaults
-            const defaultSettings = {
-                speedIncrement: 0.25,
-                increaseSpeedKey: 'shift+.',
-                decreaseSpeedKey: 'shift+,',
-                resetSpeedKey: 'shift+?',
-                persistSpeed: false,
-                showResetButton: true,
-                enableSpeedPopup: true,
-                showInitialSpeedPopup: false,
-                popupPosition: 'center',
-                enableShortcuts: true
-            };
             completeReset(defaultSettings);
             console.error('Error checking lastSpeed during reset:', error);
         });
@@ -307,7 +410,7 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     function completeReset(defaultSettings) {
         
-        browser.storage.local.set(defaultSettings)
+        settingsStorage.set(defaultSettings)
             .then(() => {
                 // Reload the UI
                 loadSettings();
@@ -316,8 +419,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 showStatus('All settings reset to defaults');
                 
                 // Notify content script with complete settings object
-                console.log('Sending reset settings to tabs:', defaultSettings);
-                notifyTabsAboutSettingsChange(defaultSettings);
+                return settingsStorage.get().then(allSettings => {
+                    console.log('Sending reset settings to tabs:', allSettings);
+                    notifyTabsAboutSettingsChange(allSettings);
+                });
             })
             .catch(error => {
                 console.error('Error resetting settings:', error);
@@ -519,41 +624,49 @@ document.addEventListener('DOMContentLoaded', () => {
         
         // Slider change event (final value)
         elements.slider.addEventListener('change', () => {
-            const increment = sliderToIncrement(elements.slider.value);
-            
-            // Get current speed to check if it needs updating
-            browser.storage.local.get('lastSpeed').then(result => {
-                const lastSpeed = result.lastSpeed || 1.0;
-                
-                // If the current speed is below the new minimum (increment),
-                // also update the lastSpeed to the new minimum
-                if (lastSpeed < increment) {
-                    saveSettings({ 
-                        speedIncrement: increment,
-                        lastSpeed: increment
-                    });
-                    showStatus(`Min speed updated to ${increment.toFixed(2)}x`);
-                } else {
-                    saveSettings({ speedIncrement: increment });
-                }
-            }).catch(error => {
-                // In case of error, just save the increment
-                saveSettings({ speedIncrement: increment });
-                console.error('Error checking lastSpeed:', error);
-            });
+            saveSettings({ speedIncrement: sliderToIncrement(elements.slider.value) });
+        });
+        
+        // Step mode and its options
+        elements.stepMode.addEventListener('change', () => {
+            updateStepModeSettings();
+            saveSettings({ stepMode: elements.stepMode.value });
+        });
+        
+        elements.stepMultiplierInput.addEventListener('change', () => {
+            saveNumberInput(elements.stepMultiplierInput, 'stepMultiplier', 1.01, 2);
+        });
+        
+        elements.speedLadderInput.addEventListener('change', saveSpeedLadder);
+        
+        // Speed range inputs
+        elements.minSpeedInput.addEventListener('change', saveSpeedRange);
+        elements.maxSpeedInput.addEventListener('change', saveSpeedRange);
+        
+        elements.capAudibleSpeedToggle.addEventListener('change', () => {
+            saveSettings({ capAudibleSpeed: elements.capAudibleSpeedToggle.checked });
+        });
+        
+        elements.holdBoostSpeedInput.addEventListener('change', () => {
+            saveNumberInput(elements.holdBoostSpeedInput, 'holdBoostSpeed', MIN_SPEED, MAX_SPEED);
         });
         
-        // Shortcut button click events
-        elements.increaseSpeedKey.addEventListener('click', () => {
-            handleKeyBinding(elements.increaseSpeedKey, 'increaseSpeedKey');
+        elements.fineStepInput.addEventListener('change', () => {
+            saveNumberInput(elements.fineStepInput, 'fineStep', 0.01, 1);
         });
         
-        elements.decreaseSpeedKey.addEventListener('click', () => {
-            handleKeyBinding(elements.decreaseSpeedKey, 'decreaseSpeedKey');
+        elements.coarseStepInput.addEventListener('change', () => {
+            saveNumberInput(elements.coarseStepInput, 'coarseStep', 0.1, 5);
         });
         
-        elements.resetSpeedKey.addEventListener('click', () => {
-            handleKeyBinding(elements.resetSpeedKey, 'resetSpeedKey');
+        // Add preset button
+        elements.addPreset.addEventListener('click', () => {
+            addPreset();
+        });
+        
+        // Add chapter rule button
+        elements.addChapterRule.addEventListener('click', () => {
+            addChapterRule();
         });
         
         // Enable shortcuts toggle change
@@ -561,6 +674,24 @@ document.addEventListener('DOMContentLoaded', () => {
             saveSettings({ enableShortcuts: elements.enableShortcutsToggle.checked });
         });
         
+        // Count prefix toggle
+        elements.enableCountPrefixToggle.addEventListener('change', () => {
+            saveSettings({ enableCountPrefix: elements.enableCountPrefixToggle.checked });
+        });
+        
+        // Sequence timeout input
+        elements.sequenceTimeoutInput.addEventListener('change', () => {
+            saveNumberInput(elements.sequenceTimeoutInput, 'sequenceTimeout', 200, 3000);
+        });
+        
+        // Record physical keys toggle
+        elements.recordPhysicalKeysToggle.addEventListener('change', () => {
+            saveSettings({ recordPhysicalKeys: elements.recordPhysicalKeysToggle.checked });
+        });
+        
+        // Learn the keyboard layout from keys typed on this page
+        document.addEventListener('keydown', learnKeyLabel, true);
+        
         // Persist speed toggle change
         elements.persistSpeedToggle.addEventListener('change', () => {
             saveSettings({ persistSpeed: elements.persistSpeedToggle.checked });
@@ -606,169 +737,1860 @@ document.addEventListener('DOMContentLoaded', () => {
             saveSettings({ popupPosition: elements.popupPosition.value });
         });
         
+        // Remember channel speed toggle change
+        elements.rememberChannelSpeedToggle.addEventListener('change', () => {
+            saveSettings({ rememberChannelSpeed: elements.rememberChannelSpeedToggle.checked });
+        });
+        
+        // Pitch correction toggle change
+        elements.preservePitchToggle.addEventListener('change', () => {
+            saveSettings({ preservePitch: elements.preservePitchToggle.checked });
+        });
+        
+        // Pitch correction speed limit changes
+        elements.pitchMinSpeedInput.addEventListener('change', () => {
+            saveNumberInput(elements.pitchMinSpeedInput, 'pitchMinSpeed', 0, MAX_SPEED);
+        });
+        
+        elements.pitchMaxSpeedInput.addEventListener('change', () => {
+            saveNumberInput(elements.pitchMaxSpeedInput, 'pitchMaxSpeed', 0, MAX_SPEED);
+        });
+        
+        // Skip silence toggle change
+        elements.skipSilenceToggle.addEventListener('change', () => {
+            saveSettings({ skipSilence: elements.skipSilenceToggle.checked });
+        });
+        
+        // Silence speed change
+        elements.silenceSpeedInput.addEventListener('change', () => {
+            saveNumberInput(elements.silenceSpeedInput, 'silenceSpeed', 1, 10);
+        });
+        
+        // Silence threshold slider (live display, save on release)
+        elements.silenceThresholdSlider.addEventListener('input', () => {
+            elements.silenceThresholdValue.textContent = elements.silenceThresholdSlider.value + ' dB';
+        });
+        
+        elements.silenceThresholdSlider.addEventListener('change', () => {
+            saveSettings({ silenceThreshold: parseInt(elements.silenceThresholdSlider.value, 10) });
+        });
+        
+        // Silence delay change
+        elements.silenceDelayInput.addEventListener('change', () => {
+            saveNumberInput(elements.silenceDelayInput, 'silenceDelay', 100, 3000);
+        });
+        
+        // Chapter rules toggle change
+        elements.enableChapterRulesToggle.addEventListener('change', () => {
+            saveSettings({ enableChapterRules: elements.enableChapterRulesToggle.checked });
+        });
+        
+        // Clear statistics button
+        elements.clearStats.addEventListener('click', () => {
+            clearStats();
+        });
+        
+        // Sync settings toggle change
+        elements.syncSettingsToggle.addEventListener('change', () => {
+            if (elements.syncSettingsToggle.checked) {
+                enableSettingsSync();
+            } else {
+                disableSettingsSync();
+            }
+        });
+        
+        // Settings export and import
+        elements.exportSettings.addEventListener('click', () => {
+            exportSettings();
+        });
+        
+        elements.importSettings.addEventListener('click', () => {
+            startImport();
+        });
+        
+        elements.importFile.addEventListener('change', () => {
+            const file = elements.importFile.files[0];
+            elements.importFile.value = ''; // Allow picking the same file again
+            if (file) importSettingsFile(file);
+        });
+        
         // Reset all settings button
         elements.resetAllSettings.addEventListener('click', () => {
             resetAllToDefaults();
         });
     }
     
-    // -----------------------------------------------------------------------------
-    // CONVERSION HELPERS
-    // -----------------------------------------------------------------------------
-    
     /**
-     * Converts slider value (1-20) to increment value (0.05-1.0)
-     * 
-     * Transforms the slider's integer value to a decimal speed increment.
+     * Validates a numeric input and saves it if it's within range
      * 
-     * @param {number} value - The slider value (1-20)
-     * @returns {number} The corresponding increment value (0.05-1.0)
+     * @param {HTMLInputElement} input - The number input to read
+     * @param {string} settingName - Name of the setting to save
+     * @param {number} min - Minimum allowed value
+     * @param {number} max - Maximum allowed value
      */
-    function sliderToIncrement(value) {
-        return Math.round((value * 0.05) * 100) / 100;
+    function saveNumberInput(input, settingName, min, max) {
+        const value = parseFloat(input.value);
+        
+        if (isNaN(value) || value < min || value > max) {
+            input.classList.add('invalid');
+            showStatus(`Value must be between ${min} and ${max}`, true);
+            return;
+        }
+        
+        input.classList.remove('invalid');
+        
+        const settings = {};
+        settings[settingName] = value;
+        saveSettings(settings);
     }
     
     /**
-     * Converts increment value (0.05-1.0) to slider value (1-20)
-     * 
-     * Transforms a decimal increment value back to the slider's integer value.
-     * 
-     * @param {number} value - The increment value (0.05-1.0)
-     * @returns {number} The corresponding slider value (1-20)
+     * Shows the options of the selected step mode and hides the others
      */
-    function incrementToSlider(value) {
-        return Math.round(value / 0.05);
+    function updateStepModeSettings() {
+        const mode = elements.stepMode.value;
+        elements.linearStepSettings.style.display = mode === 'linear' ? '' : 'none';
+        elements.multiplicativeStepSettings.style.display = mode === 'multiplicative' ? '' : 'none';
+        elements.ladderStepSettings.style.display = mode === 'ladder' ? '' : 'none';
     }
     
     /**
-     * Formats a key combination for display
-     * 
-     * Converts the internal key combination format to a user-friendly
-     * display format with proper capitalization and symbols.
+     * Validates the speed ladder input and saves it
      * 
-     * @param {string} combo - The raw key combination string
-     * @returns {string} Formatted key combination for display
+     * The speeds are sorted and duplicates dropped before saving, and the
+     * input is rewritten to match.
      */
-    function formatKeyCombination(combo) {
-        if (!combo) return 'Not set';
+    function saveSpeedLadder() {
+        const input = elements.speedLadderInput;
+        const entries = input.value.split(',').map(entry => entry.trim()).filter(entry => entry !== '');
+        const speeds = entries.map(Number);
+        const error = settingsSchema.validate('speedLadder', speeds);
         
-        return combo
-            .split('+')
-            .map(part => {
-                const trimmed = part.trim();
-                
-                // Handle special cases
-                if (trimmed === 'wheel_up') return 'Wheel Up';
-                if (trimmed === 'wheel_down') return 'Wheel Down';
-                if (trimmed === 'middle_click') return 'Middle Click';
-                if (trimmed.startsWith('mouse')) {
-                    const buttonNumber = trimmed.slice(5);
-                    return `Mouse ${buttonNumber}`;
-                }
-                
-                // Special character formatting
-                if (trimmed === '.') return '>';
-                if (trimmed === ',') return '<';
-                
-                // Capitalize first letter
-                return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
-            })
-            .join(' + ');
-    }
-    
-    // Loads button text from storage or sets defaults
-    // button: The button element to update
-    function loadButtonText(button) {
-        browser.storage.local.get(button.id)
-            .then(result => {
-                if (result[button.id]) {
-                    button.textContent = formatKeyCombination(result[button.id]);
-                } else {
-                    // Set defaults based on button ID
-                    setDefaultButtonText(button);
-                }
-            })
-            .catch(error => {
-                console.error(`Error loading setting for ${button.id}:`, error);
-                // Set defaults if there's an error
-                setDefaultButtonText(button);
-            });
+        if (error || speeds.length < 2) {
+            input.classList.add('invalid');
+            showStatus(error ? `Ladder ${error}` : 'The ladder needs at least two speeds', true);
+            return;
+        }
+        
+        input.classList.remove('invalid');
+        
+        const ladder = [...new Set(speeds)].sort((a, b) => a - b);
+        input.value = ladder.join(', ');
+        saveSettings({ speedLadder: ladder });
     }
     
-    // Sets default text for a shortcut button
-    // button: The button to set text for
-    function setDefaultButtonText(button) {
-        if (button.id === 'increaseSpeedKey') {
-            button.textContent = 'Shift + >';
-        } else if (button.id === 'decreaseSpeedKey') {
-            button.textContent = 'Shift + <';
-        } else if (button.id === 'resetSpeedKey') {
-            button.textContent = 'Shift + ?';
+    /**
+     * Validates the minimum and maximum speed inputs and saves them together
+     * 
+     * Each must be within the extension's limits, and the minimum must be
+     * below the maximum. The playing videos are brought into the new range
+     * by the content script.
+     */
+    function saveSpeedRange() {
+        const min = parseFloat(elements.minSpeedInput.value);
+        const max = parseFloat(elements.maxSpeedInput.value);
+        
+        const minError = settingsSchema.validate('minSpeed', min);
+        const maxError = settingsSchema.validate('maxSpeed', max);
+        const rangeError = minError || maxError ? null : settingsSchema.checkSpeedRange(min, max);
+        
+        elements.minSpeedInput.classList.toggle('invalid', !!(minError || rangeError));
+        elements.maxSpeedInput.classList.toggle('invalid', !!(maxError || rangeError));
+        
+        if (minError || maxError) {
+            showStatus(`Speeds must be between ${MIN_SPEED}x and ${MAX_SPEED}x`, true);
+            return;
+        }
+        
+        if (rangeError) {
+            showStatus('Minimum speed must be below the maximum speed', true);
+            return;
         }
+        
+        saveSettings({ minSpeed: min, maxSpeed: max });
     }
     
     // -----------------------------------------------------------------------------
-    // KEY BINDING FUNCTIONALITY
+    // SPEED PRESETS
     // -----------------------------------------------------------------------------
     
-    // Handles key binding for shortcut buttons
-    // button: The button being bound
-    // settingName: Name of the setting to save
-    function handleKeyBinding(button, settingName) {
-        // Clear any other buttons in listening mode
-        document.querySelectorAll('button.listening').forEach(btn => {
-            if (btn !== button) {
-                btn.classList.remove('listening');
-            }
-        });
-        
-        // Mark button as listening
-        button.classList.add('listening');
-        button.textContent = 'Press keys...';
+    /**
+     * Renders the list of speed presets
+     * 
+     * Each row has an editable speed, a shortcut recorder button and
+     * controls to move the preset up or down or remove it.
+     */
+    function renderPresets() {
+        // A conflict choice for a preset would no longer point at the right row
+        dismissShortcutConflict();
         
-        // Variables to store key combination
-        let recordTimeout = null;
+        const list = elements.presetList;
+        list.textContent = '';
         
-        // We'll use direct event listeners instead of hotkeys.js for key capture
+        if (speedPresets.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-list';
+            empty.textContent = 'No presets. Add one to jump straight to a speed.';
+            list.appendChild(empty);
+            return;
+        }
         
-        // Function to record key presses
-        function recordKeyPress(e) {
-            const key = e.key.toLowerCase();
-            
-            // Handle ESC to cancel
-            if (key === 'escape') {
-                finishRecording(null);
-                return;
-            }
+        speedPresets.forEach((preset, index) => {
+            const row = document.createElement('div');
+            row.className = 'preset-row';
             
-            // Handle modifier keys pressed alone
-            if (key === 'shift' || key === 'control' || key === 'alt') {
-                return;
-            }
+            const speedInput = document.createElement('input');
+            speedInput.type = 'number';
+            speedInput.className = 'speed-input';
+            speedInput.min = MIN_SPEED;
+            speedInput.max = MAX_SPEED;
+            speedInput.step = 0.05;
+            speedInput.value = preset.speed;
+            speedInput.setAttribute('aria-label', `Speed for preset ${index + 1}`);
+            speedInput.addEventListener('change', () => {
+                updatePresetSpeed(index, speedInput);
+            });
             
-            // Use our keyHandler to get a standardized combo
-            const combo = keyHandler.getComboFromEvent(e);
+            const keyButton = document.createElement('button');
+            keyButton.type = 'button';
+            keyButton.textContent = formatKeyCombination(preset.key);
+            keyButton.dataset.combo = preset.key || '';
+            keyButton.setAttribute('aria-label', `Set shortcut for preset ${index + 1}`);
+            keyButton.addEventListener('click', () => {
+                handleKeyBinding(keyButton, `preset:${index}`);
+            });
             
-            if (combo) {
-                // Update button text
-                button.textContent = formatKeyCombination(combo);
-                
-                // For keyboard, we'll use a short delay to allow for key combinations
-                if (recordTimeout) clearTimeout(recordTimeout);
-                recordTimeout = setTimeout(() => finishRecording(combo), 300);
-            }
+            const scopeButton = createIconButton('✎', `Let the shortcut for preset ${index + 1} work while typing in text fields`, false, () => {
+                speedPresets[index].global = !speedPresets[index].global;
+                savePresets();
+            });
+            scopeButton.classList.add('scope-btn');
+            scopeButton.title = 'Also work while typing in text fields';
+            scopeButton.setAttribute('aria-pressed', preset.global ? 'true' : 'false');
             
-            // Prevent default actions
-            e.preventDefault();
-            e.stopPropagation();
+            row.appendChild(speedInput);
+            row.appendChild(keyButton);
+            row.appendChild(scopeButton);
+            row.appendChild(createIconButton('↑', `Move preset ${index + 1} up`, index === 0, () => movePreset(index, -1)));
+            row.appendChild(createIconButton('↓', `Move preset ${index + 1} down`, index === speedPresets.length - 1, () => movePreset(index, 1)));
+            row.appendChild(createIconButton('✕', `Remove preset ${index + 1}`, false, () => removePreset(index)));
+            list.appendChild(row);
+        });
+    }
+    
+    /**
+     * Creates a small icon button for a list row
+     * 
+     * @param {string} text - The button text
+     * @param {string} label - Accessible label for the button
+     * @param {boolean} disabled - Whether the button is disabled
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} The created button
+     */
+    function createIconButton(text, label, disabled, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'icon-btn';
+        button.textContent = text;
+        button.disabled = disabled;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Saves the current presets and refreshes the list
+     */
+    function savePresets() {
+        saveSettings({ speedPresets: speedPresets });
+        renderPresets();
+    }
+    
+    /**
+     * Adds a new preset one step above the fastest existing preset
+     */
+    function addPreset() {
+        const fastest = speedPresets.reduce((max, preset) => Math.max(max, preset.speed), 0);
+        const speed = Math.min(MAX_SPEED, fastest > 0 ? fastest + 0.5 : 1);
+        
+        speedPresets.push({ speed: speed, key: '' });
+        savePresets();
+    }
+    
+    /**
+     * Validates and saves an edited preset speed
+     * 
+     * @param {number} index - Index of the preset
+     * @param {HTMLInputElement} input - The speed input that was edited
+     */
+    function updatePresetSpeed(index, input) {
+        const speed = Math.round(parseFloat(input.value) * 100) / 100;
+        
+        if (isNaN(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+            input.classList.add('invalid');
+            showStatus(`Speed must be between ${MIN_SPEED}x and ${MAX_SPEED}x`, true);
+            return;
         }
         
-        // Function to handle mouse wheel input
-        function recordWheel(e) {
-            // Use our keyHandler to get a standardized combo
-            const combo = keyHandler.getComboFromEvent(e);
-            
-            if (combo) {
+        input.classList.remove('invalid');
+        speedPresets[index].speed = speed;
+        savePresets();
+    }
+    
+    /**
+     * Moves a preset up or down in the list
+     * 
+     * @param {number} index - Index of the preset
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    function movePreset(index, direction) {
+        const target = index + direction;
+        if (target < 0 || target >= speedPresets.length) return;
+        
+        const [preset] = speedPresets.splice(index, 1);
+        speedPresets.splice(target, 0, preset);
+        savePresets();
+    }
+    
+    /**
+     * Removes a preset from the list
+     * 
+     * @param {number} index - Index of the preset
+     */
+    function removePreset(index) {
+        speedPresets.splice(index, 1);
+        savePresets();
+    }
+    
+    // -----------------------------------------------------------------------------
+    // CHAPTER RULES
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Renders the list of chapter speed rules
+     * 
+     * Each row has the text or regex to match against chapter titles, a
+     * regex toggle, the speed to use and a button to remove the rule.
+     */
+    function renderChapterRules() {
+        const list = elements.chapterRuleList;
+        list.textContent = '';
+        
+        if (chapterRules.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-list';
+            empty.textContent = 'No chapter rules. Add one to change speed for chapters like "Intro" or "Q&A".';
+            list.appendChild(empty);
+            return;
+        }
+        
+        chapterRules.forEach((rule, index) => {
+            const row = document.createElement('div');
+            row.className = 'rule-row';
+            
+            const patternInput = document.createElement('input');
+            patternInput.type = 'text';
+            patternInput.className = 'speed-input pattern-input';
+            patternInput.placeholder = 'Chapter title';
+            patternInput.value = rule.pattern;
+            patternInput.setAttribute('aria-label', `Chapter title for rule ${index + 1}`);
+            
+            const regexToggle = document.createElement('input');
+            regexToggle.type = 'checkbox';
+            regexToggle.checked = rule.isRegex === true;
+            
+            const regexLabel = document.createElement('label');
+            regexLabel.className = 'regex-label';
+            regexLabel.title = 'Match the title with a regular expression';
+            regexLabel.appendChild(regexToggle);
+            regexLabel.appendChild(document.createTextNode('Regex'));
+            
+            patternInput.addEventListener('change', () => {
+                updateChapterRulePattern(index, patternInput, regexToggle);
+            });
+            regexToggle.addEventListener('change', () => {
+                updateChapterRulePattern(index, patternInput, regexToggle);
+            });
+            
+            const speedInput = document.createElement('input');
+            speedInput.type = 'number';
+            speedInput.className = 'speed-input';
+            speedInput.min = MIN_SPEED;
+            speedInput.max = MAX_SPEED;
+            speedInput.step = 0.05;
+            speedInput.value = rule.speed;
+            speedInput.setAttribute('aria-label', `Speed for rule ${index + 1}`);
+            speedInput.addEventListener('change', () => {
+                updateChapterRuleSpeed(index, speedInput);
+            });
+            
+            row.appendChild(patternInput);
+            row.appendChild(regexLabel);
+            row.appendChild(speedInput);
+            row.appendChild(createIconButton('✕', `Remove rule ${index + 1}`, false, () => removeChapterRule(index)));
+            list.appendChild(row);
+        });
+    }
+    
+    /**
+     * Saves the current chapter rules and refreshes the list
+     */
+    function saveChapterRules() {
+        // Leave out rules that don't have a title yet
+        saveSettings({ chapterRules: chapterRules.filter(rule => rule.pattern) });
+        renderChapterRules();
+    }
+    
+    /**
+     * Adds an empty rule and focuses its title input
+     * 
+     * The rule isn't saved until a title is entered.
+     */
+    function addChapterRule() {
+        chapterRules.push({ pattern: '', isRegex: false, speed: 2 });
+        renderChapterRules();
+        
+        const inputs = elements.chapterRuleList.querySelectorAll('.pattern-input');
+        inputs[inputs.length - 1].focus();
+    }
+    
+    /**
+     * Validates and saves an edited rule pattern
+     * 
+     * @param {number} index - Index of the rule
+     * @param {HTMLInputElement} patternInput - The title text or regex input
+     * @param {HTMLInputElement} regexToggle - The regex checkbox
+     */
+    function updateChapterRulePattern(index, patternInput, regexToggle) {
+        const pattern = patternInput.value.trim();
+        const isRegex = regexToggle.checked;
+        
+        if (!pattern) {
+            patternInput.classList.add('invalid');
+            showStatus('Enter a chapter title to match', true);
+            return;
+        }
+        
+        if (isRegex) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (e) {
+                patternInput.classList.add('invalid');
+                showStatus('Invalid regular expression: ' + e.message, true);
+                return;
+            }
+        }
+        
+        patternInput.classList.remove('invalid');
+        chapterRules[index].pattern = pattern;
+        chapterRules[index].isRegex = isRegex;
+        saveChapterRules();
+    }
+    
+    /**
+     * Validates and saves an edited rule speed
+     * 
+     * @param {number} index - Index of the rule
+     * @param {HTMLInputElement} input - The speed input that was edited
+     */
+    function updateChapterRuleSpeed(index, input) {
+        const speed = Math.round(parseFloat(input.value) * 100) / 100;
+        
+        if (isNaN(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+            input.classList.add('invalid');
+            showStatus(`Speed must be between ${MIN_SPEED}x and ${MAX_SPEED}x`, true);
+            return;
+        }
+        
+        input.classList.remove('invalid');
+        chapterRules[index].speed = speed;
+        saveChapterRules();
+    }
+    
+    /**
+     * Removes a chapter rule from the list
+     * 
+     * @param {number} index - Index of the rule
+     */
+    function removeChapterRule(index) {
+        chapterRules.splice(index, 1);
+        saveChapterRules();
+    }
+    
+    // -----------------------------------------------------------------------------
+    // SETTINGS SYNC
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Turns on settings sync for this device
+     * 
+     * If another device has already synced settings that differ from this
+     * device's, the user chooses which ones to keep before anything changes.
+     */
+    function enableSettingsSync() {
+        settingsStorage.findSyncConflicts()
+            .then(conflicts => {
+                if (conflicts.length > 0) {
+                    showSyncConflict(conflicts);
+                } else {
+                    completeSyncEnable('device');
+                }
+            })
+            .catch(error => {
+                console.error('Error checking synced settings:', error);
+                elements.syncSettingsToggle.checked = false;
+                showStatus('Sync is not available: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Finishes turning on sync once it's clear which settings to keep
+     * 
+     * @param {string} source - 'device' to upload this device's settings, or
+     *                          'sync' to use the settings already synced
+     */
+    function completeSyncEnable(source) {
+        hideSyncConflict();
+        
+        settingsStorage.enableSync(source)
+            .then(() => {
+                loadSettings();
+                showStatus(source === 'sync' ? 'Using synced settings' : 'Settings sync enabled');
+                
+                // Tabs may need the synced settings
+                return settingsStorage.get().then(allSettings => {
+                    notifyTabsAboutSettingsChange(allSettings);
+                });
+            })
+            .catch(error => {
+                console.error('Error enabling sync:', error);
+                elements.syncSettingsToggle.checked = false;
+                showStatus('Error enabling sync: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Turns off settings sync for this device
+     * 
+     * The most recent synced settings are kept on this device.
+     */
+    function disableSettingsSync() {
+        hideSyncConflict();
+        
+        settingsStorage.disableSync()
+            .then(() => {
+                loadSettings();
+                showStatus('Settings sync turned off');
+            })
+            .catch(error => {
+                console.error('Error disabling sync:', error);
+                showStatus('Error disabling sync: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Asks which settings to keep when this device and sync disagree
+     * 
+     * @param {Array<string>} conflicts - Names of the settings that differ
+     */
+    function showSyncConflict(conflicts) {
+        const panel = elements.syncConflict;
+        panel.textContent = '';
+        
+        const heading = document.createElement('strong');
+        heading.textContent = 'Synced settings from another device differ from this one:';
+        panel.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        conflicts.forEach(key => {
+            const item = document.createElement('li');
+            item.textContent = key;
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'button-row';
+        
+        const useSynced = document.createElement('button');
+        useSynced.type = 'button';
+        useSynced.textContent = 'Use synced';
+        useSynced.addEventListener('click', () => completeSyncEnable('sync'));
+        
+        const useDevice = document.createElement('button');
+        useDevice.type = 'button';
+        useDevice.textContent = 'Use this device\'s';
+        useDevice.addEventListener('click', () => completeSyncEnable('device'));
+        
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', () => {
+            hideSyncConflict();
+            elements.syncSettingsToggle.checked = false;
+        });
+        
+        buttons.appendChild(useSynced);
+        buttons.appendChild(useDevice);
+        buttons.appendChild(cancel);
+        panel.appendChild(buttons);
+        panel.hidden = false;
+    }
+    
+    /**
+     * Hides the sync conflict choice
+     */
+    function hideSyncConflict() {
+        elements.syncConflict.hidden = true;
+        elements.syncConflict.textContent = '';
+    }
+    
+    /**
+     * Shows why the latest settings couldn't be synced, with a way to retry
+     * 
+     * Writes to storage.sync fail when its quota or write rate is exceeded;
+     * the settings are still saved on this device.
+     * 
+     * @param {Object|null} syncError - { message, time } from settingsStorage, or null to hide it
+     */
+    function showSyncError(syncError) {
+        const panel = elements.syncError;
+        panel.textContent = '';
+        panel.hidden = !syncError;
+        if (!syncError) return;
+        
+        const heading = document.createElement('strong');
+        heading.textContent = `Settings changed at ${new Date(syncError.time).toLocaleTimeString()} are saved on this device but couldn't be synced:`;
+        panel.appendChild(heading);
+        
+        const reason = document.createElement('div');
+        reason.textContent = syncError.message;
+        panel.appendChild(reason);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'button-row';
+        
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', retrySync);
+        
+        buttons.appendChild(retry);
+        panel.appendChild(buttons);
+    }
+    
+    /**
+     * Uploads this device's settings again after a failed sync write
+     */
+    function retrySync() {
+        settingsStorage.enableSync('device')
+            .then(() => {
+                showSyncError(null);
+                showStatus('Settings synced');
+            })
+            .catch(error => {
+                console.error('Error syncing settings:', error);
+                showStatus('Still could not sync settings: ' + error.message, true);
+            });
+    }
+    
+    // -----------------------------------------------------------------------------
+    // SETTINGS IMPORT & EXPORT
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Exports the user's preferences to a JSON file download
+     * 
+     * Every preference is written, including ones still at their default, so
+     * importing the file gives the same configuration on any browser.
+     * Device-specific data (lastSpeed, channelSpeeds, statistics) is left out.
+     */
+    function exportSettings() {
+        settingsStorage.get(settingsSchema.getDefaults(settingsSchema.getPreferenceKeys()))
+            .then(settings => {
+                const file = {
+                    format: SETTINGS_FILE_FORMAT,
+                    version: SETTINGS_FILE_VERSION,
+                    settingsVersion: settingsSchema.SETTINGS_VERSION,
+                    exported: new Date().toISOString(),
+                    settings: settings
+                };
+                
+                const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = 'youtube-speed-control-settings.json';
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                showStatus('Settings exported');
+            })
+            .catch(error => {
+                console.error('Error exporting settings:', error);
+                showStatus('Error exporting settings: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Starts an import by asking for a settings file
+     * 
+     * Firefox closes the toolbar popup as soon as a file picker opens, so
+     * from the popup this opens the settings page in a tab instead, where
+     * the import can be finished.
+     */
+    function startImport() {
+        if (!isOpenInTab) {
+            window.open(browser.runtime.getURL('settings.html?tab#import'));
+            window.close();
+            return;
+        }
+        
+        hideImportErrors();
+        elements.importFile.click();
+    }
+    
+    /**
+     * Reads, validates and imports a settings file
+     * 
+     * Nothing is saved if the file has errors; instead the rejected entries
+     * are listed and the user can choose to import the remaining settings.
+     * 
+     * @param {File} file - The selected settings file
+     */
+    function importSettingsFile(file) {
+        file.text()
+            .then(text => {
+                let data;
+                try {
+                    data = JSON.parse(text);
+                } catch (e) {
+                    showImportErrors(['The file is not valid JSON: ' + e.message], null);
+                    return;
+                }
+                
+                const result = validateSettingsFile(data);
+                
+                if (result.errors.length > 0) {
+                    showImportErrors(result.errors, result.settings);
+                } else {
+                    applyImportedSettings(result.settings);
+                }
+            })
+            .catch(error => {
+                console.error('Error reading settings file:', error);
+                showStatus('Error reading settings file: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Checks a parsed settings file
+     * 
+     * @param {*} data - The parsed JSON
+     * @returns {{settings: (Object|null), errors: Array<string>}} The valid settings
+     *          (null if the file itself is unusable) and a message for each rejected entry
+     */
+    function validateSettingsFile(data) {
+        if (!data || typeof data !== 'object' || data.format !== SETTINGS_FILE_FORMAT) {
+            return { settings: null, errors: ['This is not a YouTube Speed Control settings file'] };
+        }
+        
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            return { settings: null, errors: ['The file has no valid version number'] };
+        }
+        
+        if (data.version > SETTINGS_FILE_VERSION) {
+            return { settings: null, errors: [`The file was made by a newer version of the extension (version ${data.version})`] };
+        }
+        
+        if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) {
+            return { settings: null, errors: ['The file contains no settings'] };
+        }
+        
+        // Files from before settings were versioned count as version 0
+        const settingsVersion = Number.isInteger(data.settingsVersion) ? data.settingsVersion : 0;
+        if (settingsVersion > settingsSchema.SETTINGS_VERSION) {
+            return { settings: null, errors: [`The file was made by a newer version of the extension (settings version ${settingsVersion})`] };
+        }
+        
+        const upgraded = settingsSchema.upgrade(data.settings, settingsVersion);
+        const settings = {};
+        const errors = [];
+        
+        Object.keys(upgraded).forEach(key => {
+            if (settingsSchema.isDeviceSetting(key)) {
+                errors.push(`${key}: only applies to the device it was saved on`);
+                return;
+            }
+            
+            const error = settingsSchema.validate(key, upgraded[key]);
+            if (error) {
+                errors.push(`${key}: ${error}`);
+            } else {
+                settings[key] = upgraded[key];
+            }
+        });
+        
+        // The speed range is only usable as a pair, so a crossed range drops both
+        if ('minSpeed' in settings && 'maxSpeed' in settings) {
+            const rangeError = settingsSchema.checkSpeedRange(settings.minSpeed, settings.maxSpeed);
+            if (rangeError) {
+                errors.push(`minSpeed, maxSpeed: ${rangeError}`);
+                delete settings.minSpeed;
+                delete settings.maxSpeed;
+            }
+        }
+        
+        return { settings: settings, errors: errors };
+    }
+    
+    /**
+     * Saves imported settings and refreshes the UI
+     * 
+     * @param {Object} settings - Validated settings to save
+     */
+    function applyImportedSettings(settings) {
+        hideImportErrors();
+        
+        const count = Object.keys(settings).length;
+        if (count === 0) {
+            showStatus('No settings to import', true);
+            return;
+        }
+        
+        settingsStorage.set(settings)
+            .then(() => {
+                // Reload the UI with the imported values
+                loadSettings();
+                showStatus(`Imported ${count} setting${count === 1 ? '' : 's'}`);
+                
+                // Notify content scripts with the complete settings object
+                return settingsStorage.get().then(allSettings => {
+                    notifyTabsAboutSettingsChange(allSettings);
+                });
+            })
+            .catch(error => {
+                console.error('Error importing settings:', error);
+                showStatus('Error importing settings: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Lists the entries rejected from an import
+     * 
+     * @param {Array<string>} errors - One message per rejected entry
+     * @param {Object|null} validSettings - Settings that passed validation, offered
+     *                                      for import without the rejected ones
+     */
+    function showImportErrors(errors, validSettings) {
+        const panel = elements.importErrors;
+        panel.textContent = '';
+        
+        const heading = document.createElement('strong');
+        heading.textContent = 'Nothing was imported. These entries were rejected:';
+        panel.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'button-row';
+        
+        const validCount = validSettings ? Object.keys(validSettings).length : 0;
+        if (validCount > 0) {
+            const importRest = document.createElement('button');
+            importRest.type = 'button';
+            importRest.textContent = `Import the other ${validCount}`;
+            importRest.addEventListener('click', () => applyImportedSettings(validSettings));
+            buttons.appendChild(importRest);
+        }
+        
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.textContent = validCount > 0 ? 'Cancel' : 'Dismiss';
+        dismiss.addEventListener('click', hideImportErrors);
+        buttons.appendChild(dismiss);
+        
+        panel.appendChild(buttons);
+        panel.hidden = false;
+    }
+    
+    /**
+     * Hides the import error list
+     */
+    function hideImportErrors() {
+        elements.importErrors.hidden = true;
+        elements.importErrors.textContent = '';
+    }
+    
+    // -----------------------------------------------------------------------------
+    // STATISTICS
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Loads the viewing statistics and shows them in the statistics card
+     */
+    function loadStats() {
+        browser.storage.local.get(STATS_STORAGE_KEY)
+            .then(result => {
+                renderStats(result[STATS_STORAGE_KEY] || { days: {}, channels: {} });
+            })
+            .catch(error => {
+                console.error('Error loading statistics:', error);
+            });
+    }
+    
+    /**
+     * Renders the statistics totals and the per-channel breakdown
+     * 
+     * @param {Object} stats - The stored statistics ({ days, channels }), each entry
+     *                         holding the real seconds watched and the seconds of video played
+     */
+    function renderStats(stats) {
+        const days = stats.days || {};
+        const channels = stats.channels || {};
+        
+        const totals = Object.keys(days).reduce((sum, day) => ({
+            watched: sum.watched + days[day].watched,
+            content: sum.content + days[day].content
+        }), { watched: 0, content: 0 });
+        
+        const today = days[getTodayKey()] || { watched: 0, content: 0 };
+        
+        elements.statsSaved.textContent = formatDuration(totals.content - totals.watched);
+        elements.statsToday.textContent = formatDuration(today.content - today.watched);
+        elements.statsAverage.textContent = formatAverageSpeed(totals);
+        elements.statsWatched.textContent = formatDuration(totals.watched);
+        
+        // Channels that saved the most time first
+        const list = elements.statsChannelList;
+        list.textContent = '';
+        
+        const channelIds = Object.keys(channels).sort((a, b) =>
+            (channels[b].content - channels[b].watched) - (channels[a].content - channels[a].watched));
+        
+        if (channelIds.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-list';
+            empty.textContent = 'No viewing time recorded yet.';
+            list.appendChild(empty);
+            return;
+        }
+        
+        channelIds.slice(0, STATS_CHANNELS_SHOWN).forEach(channelId => {
+            const entry = channels[channelId];
+            
+            const row = document.createElement('div');
+            row.className = 'channel-row';
+            
+            const name = document.createElement('span');
+            name.className = 'channel-name';
+            name.textContent = entry.name || channelId;
+            name.title = channelId;
+            
+            const saved = document.createElement('span');
+            saved.className = 'channel-stat';
+            saved.textContent = formatDuration(entry.content - entry.watched) + ' saved';
+            
+            const average = document.createElement('span');
+            average.className = 'channel-stat';
+            average.textContent = formatAverageSpeed(entry);
+            
+            row.appendChild(name);
+            row.appendChild(saved);
+            row.appendChild(average);
+            list.appendChild(row);
+        });
+    }
+    
+    /**
+     * Clears all viewing statistics after confirmation
+     * 
+     * Extension popups can't show confirm() dialogs, so the first click
+     * asks for a second one within a few seconds.
+     */
+    function clearStats() {
+        const button = elements.clearStats;
+        
+        if (!button.dataset.confirming) {
+            button.dataset.confirming = 'true';
+            button.textContent = 'Click Again to Clear Statistics';
+            button._confirmTimeout = setTimeout(() => {
+                delete button.dataset.confirming;
+                button.textContent = 'Clear Statistics';
+            }, 3000);
+            return;
+        }
+        
+        clearTimeout(button._confirmTimeout);
+        delete button.dataset.confirming;
+        button.textContent = 'Clear Statistics';
+        
+        // Cleared by the background script, which queues it behind any statistics still being saved
+        browser.runtime.sendMessage({ action: 'clearStats' })
+            .then(() => {
+                loadStats();
+                showStatus('Statistics cleared');
+            })
+            .catch(error => {
+                console.error('Error clearing statistics:', error);
+                showStatus('Error clearing statistics: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Gets the local date key statistics are grouped by (matches content.js)
+     * @returns {string} The date as YYYY-MM-DD
+     */
+    function getTodayKey() {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        return `${now.getFullYear()}-${month}-${day}`;
+    }
+    
+    /**
+     * Formats a number of seconds as hours and minutes, e.g. "2h 05m"
+     * 
+     * @param {number} seconds - The duration (negative when time was spent rather than saved)
+     * @returns {string} The formatted duration
+     */
+    function formatDuration(seconds) {
+        const sign = seconds < 0 ? '-' : '';
+        const totalMinutes = Math.floor(Math.abs(seconds) / 60);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        
+        if (hours === 0) return `${sign}${minutes}m`;
+        return `${sign}${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    
+    /**
+     * Formats the average speed of a statistics entry
+     * 
+     * @param {Object} entry - An entry with watched and content seconds
+     * @returns {string} The average speed, e.g. "1.75x"
+     */
+    function formatAverageSpeed(entry) {
+        if (!entry.watched) return '1x';
+        
+        const average = Math.round(entry.content / entry.watched * 100) / 100;
+        return average + 'x';
+    }
+    
+    // -----------------------------------------------------------------------------
+    // CHANNEL SPEED LIST
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Renders the list of remembered channel speeds
+     * 
+     * Each row shows the channel name, an editable speed value and a
+     * button to forget the channel.
+     * 
+     * @param {Object} channelSpeeds - Map of channel ID/handle to { name, speed }
+     */
+    function renderChannelSpeeds(channelSpeeds) {
+        const list = elements.channelSpeedList;
+        list.textContent = '';
+        
+        const channelIds = Object.keys(channelSpeeds).sort((a, b) => {
+            const nameA = (channelSpeeds[a].name || a).toLowerCase();
+            const nameB = (channelSpeeds[b].name || b).toLowerCase();
+            return nameA.localeCompare(nameB);
+        });
+        
+        if (channelIds.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty-list';
+            empty.textContent = 'No channel speeds saved yet. Change the speed on a video to remember it for that channel.';
+            list.appendChild(empty);
+            return;
+        }
+        
+        channelIds.forEach(channelId => {
+            const entry = channelSpeeds[channelId];
+            
+            const row = document.createElement('div');
+            row.className = 'channel-row';
+            
+            const name = document.createElement('span');
+            name.className = 'channel-name';
+            name.textContent = entry.name || channelId;
+            name.title = channelId;
+            
+            const speedInput = document.createElement('input');
+            speedInput.type = 'number';
+            speedInput.className = 'speed-input';
+            speedInput.min = MIN_SPEED;
+            speedInput.max = MAX_SPEED;
+            speedInput.step = 0.05;
+            speedInput.value = entry.speed;
+            speedInput.setAttribute('aria-label', `Speed for ${entry.name || channelId}`);
+            speedInput.addEventListener('change', () => {
+                updateChannelSpeed(channelId, speedInput);
+            });
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'icon-btn';
+            removeButton.textContent = '✕';
+            removeButton.setAttribute('aria-label', `Forget speed for ${entry.name || channelId}`);
+            removeButton.addEventListener('click', () => {
+                removeChannelSpeed(channelId);
+            });
+            
+            row.appendChild(name);
+            row.appendChild(speedInput);
+            row.appendChild(removeButton);
+            list.appendChild(row);
+        });
+    }
+    
+    /**
+     * Saves changes to the remembered channel speeds and tells YouTube tabs
+     * 
+     * The background script does the write, one change at a time, so
+     * speeds YouTube tabs save meanwhile aren't lost.
+     * 
+     * @param {Object} changes - Map of channel ID/handle to { speed }, or null to forget it
+     * @returns {Promise<void>}
+     */
+    function saveChannelSpeeds(changes) {
+        return browser.runtime.sendMessage({ action: 'updateChannelSpeeds', changes: changes })
+            .then(channelSpeeds => {
+                if (!channelSpeeds) throw new Error('Could not save channel speeds');
+                
+                renderChannelSpeeds(channelSpeeds);
+                showStatus('Settings saved');
+                
+                return settingsStorage.get().then(notifyTabsAboutSettingsChange);
+            });
+    }
+    
+    /**
+     * Validates and saves an edited channel speed
+     * 
+     * @param {string} channelId - The channel ID or handle
+     * @param {HTMLInputElement} input - The speed input that was edited
+     */
+    function updateChannelSpeed(channelId, input) {
+        const speed = Math.round(parseFloat(input.value) * 100) / 100;
+        
+        if (isNaN(speed) || speed < MIN_SPEED || speed > MAX_SPEED) {
+            input.classList.add('invalid');
+            showStatus(`Speed must be between ${MIN_SPEED}x and ${MAX_SPEED}x`, true);
+            return;
+        }
+        
+        input.classList.remove('invalid');
+        input.value = speed;
+        
+        saveChannelSpeeds({ [channelId]: { speed: speed } })
+            .catch(error => {
+                console.error('Error updating channel speed:', error);
+                showStatus('Error updating channel speed: ' + error.message, true);
+            });
+    }
+    
+    /**
+     * Removes a channel from the remembered speeds
+     * 
+     * @param {string} channelId - The channel ID or handle
+     */
+    function removeChannelSpeed(channelId) {
+        saveChannelSpeeds({ [channelId]: null })
+            .catch(error => {
+                console.error('Error removing channel speed:', error);
+                showStatus('Error removing channel speed: ' + error.message, true);
+            });
+    }
+    
+    // -----------------------------------------------------------------------------
+    // CONVERSION HELPERS
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Converts slider value (1-20) to increment value (0.05-1.0)
+     * 
+     * Transforms the slider's integer value to a decimal speed increment.
+     * 
+     * @param {number} value - The slider value (1-20)
+     * @returns {number} The corresponding increment value (0.05-1.0)
+     */
+    function sliderToIncrement(value) {
+        return Math.round((value * 0.05) * 100) / 100;
+    }
+    
+    /**
+     * Converts increment value (0.05-1.0) to slider value (1-20)
+     * 
+     * Transforms a decimal increment value back to the slider's integer value.
+     * 
+     * @param {number} value - The increment value (0.05-1.0)
+     * @returns {number} The corresponding slider value (1-20)
+     */
+    function incrementToSlider(value) {
+        return Math.round(value / 0.05);
+    }
+    
+    /**
+     * Formats a key combination for display
+     * 
+     * Converts the internal key combination format to a user-friendly
+     * display format with proper capitalization and symbols.
+     * 
+     * @param {string} combo - The raw key combination string
+     * @returns {string} Formatted key combination for display
+     */
+    function formatKeyCombination(combo) {
+        if (!combo) return 'Not set';
+        
+        // Sequences are combos separated by spaces, e.g. 'g 2'
+        return combo
+            .split(' ')
+            .map(formatSingleCombo)
+            .join(' then ');
+    }
+    
+    /**
+     * Formats one combo of a shortcut, e.g. 'shift+.' as 'Shift + >'
+     * 
+     * @param {string} combo - A single key combination
+     * @returns {string} Formatted combination for display
+     */
+    function formatSingleCombo(combo) {
+        return combo
+            .split('+')
+            .map(part => {
+                const trimmed = part.trim();
+                
+                // Handle special cases
+                if (trimmed === 'wheel_up') return 'Wheel Up';
+                if (trimmed === 'wheel_down') return 'Wheel Down';
+                if (trimmed === 'middle_click') return 'Middle Click';
+                if (trimmed.startsWith('mouse')) {
+                    const buttonNumber = trimmed.slice(5);
+                    return `Mouse ${buttonNumber}`;
+                }
+                if (trimmed.startsWith('code:')) return formatPhysicalKey(trimmed.slice(5));
+                
+                // Special character formatting
+                if (trimmed === '.') return '>';
+                if (trimmed === ',') return '<';
+                
+                // Capitalize first letter
+                return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+            })
+            .join(' + ');
+    }
+    
+    /**
+     * Names a physical key after the character it types on the user's layout
+     * 
+     * @param {string} code - The key's event.code, e.g. 'Period' or 'KeyQ'
+     * @returns {string} Display name, e.g. '.' or 'A' on an AZERTY keyboard
+     */
+    function formatPhysicalKey(code) {
+        const label = getPhysicalKeyLabel(code);
+        return label.length === 1 ? label.toUpperCase() : label;
+    }
+    
+    /**
+     * Looks up what the user's layout prints on a physical key
+     * 
+     * @param {string} code - The key's event.code
+     * @returns {string} The character, or a name for keys that don't type one
+     */
+    function getPhysicalKeyLabel(code) {
+        return (layoutMap && layoutMap.get(code)) || keyLabels[code] || PHYSICAL_KEY_NAMES[code] ||
+            code.replace(/^(Key|Digit)/, '').replace(/^Numpad(?=.)/, 'Numpad ');
+    }
+    
+    /**
+     * Reads the keyboard layout where the browser exposes it (not in Firefox)
+     * 
+     * @returns {Promise<void>} Resolves once layoutMap is set, or on failure
+     */
+    function loadKeyboardLayout() {
+        if (!navigator.keyboard || typeof navigator.keyboard.getLayoutMap !== 'function') {
+            return Promise.resolve();
+        }
+        
+        return navigator.keyboard.getLayoutMap()
+            .then(map => {
+                layoutMap = map;
+            })
+            .catch(error => {
+                console.warn('Could not read the keyboard layout:', error);
+            });
+    }
+    
+    /**
+     * Remembers the character an unmodified key press typed, for naming physical keys
+     * 
+     * @param {KeyboardEvent} e - A keydown event anywhere on the page
+     */
+    function learnKeyLabel(e) {
+        if (!e.code || [...e.key].length !== 1 || e.key === ' ') return;
+        if (e.shiftKey || e.ctrlKey || e.altKey || e.metaKey) return;
+        if (keyLabels[e.code] === e.key) return;
+        
+        keyLabels = { ...keyLabels, [e.code]: e.key };
+        settingsStorage.set({ keyLabels: keyLabels })
+            .catch(error => console.error('Error saving keyboard layout:', error));
+    }
+    
+    // -----------------------------------------------------------------------------
+    // SHORTCUT CONFLICTS
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Reads the browser-wide shortcuts, which the browser handles before the page sees the key
+     * 
+     * @returns {Promise<void>} Resolves once browserCommands is set, or on failure
+     */
+    function loadBrowserCommands() {
+        return browser.commands.getAll()
+            .then(commands => {
+                browserCommands = commands
+                    .map(command => ({
+                        label: `Browser-wide shortcut: ${command.description || command.name}`,
+                        combo: parseCommandShortcut(command.shortcut)
+                    }))
+                    .filter(command => command.combo);
+            })
+            .catch(error => {
+                console.warn('Could not read the browser-wide shortcuts:', error);
+            });
+    }
+    
+    /**
+     * Converts a browser command shortcut to a combo as keyHandler builds them
+     * 
+     * @param {string} shortcut - e.g. 'Alt+Shift+Up', or '' when unset
+     * @returns {string} The combo, e.g. 'shift+alt+arrowup', or '' if it can't be read
+     *                   (Chrome on macOS shows shortcuts as symbols)
+     */
+    function parseCommandShortcut(shortcut) {
+        const parts = (shortcut || '').split('+');
+        if (parts.length < 2) return '';
+        
+        const key = parts.pop();
+        const modifiers = parts.map(part => {
+            if (part === 'MacCtrl') return 'ctrl';
+            if (part === 'Command') return 'cmd';
+            return part.toLowerCase();
+        });
+        if (!modifiers.every(name => COMBO_MODIFIERS.includes(name))) return '';
+        
+        modifiers.sort((a, b) => COMBO_MODIFIERS.indexOf(a) - COMBO_MODIFIERS.indexOf(b));
+        return modifiers.concat(COMMAND_KEYS[key] || key.toLowerCase()).join('+');
+    }
+    
+    /**
+     * Lists every shortcut shown in the settings page
+     * 
+     * Shortcut IDs are 'actionId:N' for an action's Nth binding, or
+     * 'preset:N' for the Nth preset (both counted from 0).
+     * 
+     * @returns {Array<{id: string, label: string, combo: string}>} The shortcuts
+     */
+    function getAssignedShortcuts() {
+        const assigned = [];
+        
+        actionRegistry.getActions().forEach(action => {
+            actionRegistry.getBindings(shortcuts, action.id).forEach((binding, index) => {
+                assigned.push({ id: `${action.id}:${index}`, label: action.label, combo: binding.key });
+            });
+        });
+        
+        speedPresets.forEach((preset, index) => {
+            assigned.push({ id: `preset:${index}`, label: `Preset ${index + 1} (${preset.speed}x)`, combo: preset.key || '' });
+        });
+        
+        return assigned;
+    }
+    
+    /**
+     * Splits a shortcut ID into its action (or 'preset') and position
+     * 
+     * @param {string} shortcutId - e.g. 'increaseSpeed:1' or 'preset:0'
+     * @returns {{owner: string, index: number}} The parts
+     */
+    function parseShortcutId(shortcutId) {
+        const separator = shortcutId.lastIndexOf(':');
+        return {
+            owner: shortcutId.slice(0, separator),
+            index: Number(shortcutId.slice(separator + 1))
+        };
+    }
+    
+    /**
+     * Splits a shortcut into its key presses, naming physical keys by the
+     * character they type so both kinds of shortcut for a key compare equal
+     * 
+     * @param {string} combo - A combo or sequence, e.g. 'g 2' or 'shift+code:KeyN'
+     * @returns {Array<string>} One character combo per key press
+     */
+    function toCharacterSteps(combo) {
+        return combo.split(' ').map(step => step
+            .split('+')
+            .map(part => {
+                if (!part.startsWith('code:')) return part;
+                
+                const code = part.slice(5);
+                if (code === 'Space') return 'space';
+                if (code.startsWith('Arrow')) return code.toLowerCase();
+                return getPhysicalKeyLabel(code).toLowerCase();
+            })
+            .join('+'));
+    }
+    
+    /**
+     * Lists every way a shortcut can be pressed, in character steps
+     * 
+     * Shortcuts of step actions also fire with a step modifier held on their
+     * last key (see STEP_MODIFIERS in actionregistry.js), so their fine and
+     * coarse variants are included.
+     * 
+     * @param {string} combo - A combo or sequence
+     * @param {string} owner - The action ID, or 'preset'
+     * @returns {Array<Array<string>>} Each variant as one character combo per key press
+     */
+    function getShortcutVariants(combo, owner) {
+        const steps = toCharacterSteps(combo);
+        const action = actionRegistry.getAction(owner);
+        if (!action || !action.steps) return [steps];
+        
+        // Split the last key press into its modifiers and its key ('+' can be the key itself)
+        const [, prefix, key] = steps[steps.length - 1].match(/^((?:(?:shift|ctrl|alt|cmd)\+)*)(.+)$/);
+        const modifiers = prefix.split('+').filter(name => name);
+        
+        const variants = [steps];
+        Object.keys(actionRegistry.STEP_MODIFIERS).forEach(modifier => {
+            if (modifiers.includes(modifier)) return;
+            
+            const held = modifiers.concat(modifier)
+                .sort((a, b) => COMBO_MODIFIERS.indexOf(a) - COMBO_MODIFIERS.indexOf(b));
+            variants.push(steps.slice(0, -1).concat(held.concat(key).join('+')));
+        });
+        return variants;
+    }
+    
+    /**
+     * Checks whether two shortcuts, given as character steps, get in each other's way
+     * 
+     * They do when they are the same, or when one is a sequence that starts
+     * with the other (the shorter one would then wait for the rest of it).
+     * 
+     * @param {Array<string>} steps - One shortcut's steps
+     * @param {Array<string>} otherSteps - The other shortcut's steps
+     * @returns {boolean} True if they clash
+     */
+    function stepsOverlap(steps, otherSteps) {
+        const length = Math.min(steps.length, otherSteps.length);
+        return steps.slice(0, length).every((step, i) => step === otherSteps[i]);
+    }
+    
+    /**
+     * Finds what a newly recorded combo would clash with
+     * 
+     * Another shortcut clashes when any way of pressing one overlaps a way
+     * of pressing the other (see getShortcutVariants and stepsOverlap).
+     * A YouTube shortcut clashes when the combo starts with its key, and a
+     * browser-wide shortcut when any way of pressing the combo starts with it.
+     * 
+     * @param {string} combo - The recorded combo
+     * @param {Array<Object>} shortcuts - The other shortcuts (see getAssignedShortcuts)
+     * @param {string} owner - The recorded shortcut's action ID, or 'preset'
+     * @returns {Array<Object>} The clashing shortcuts, plus { label, combo, external: true }
+     *                          for each clashing YouTube or browser-wide shortcut
+     */
+    function findShortcutConflicts(combo, shortcuts, owner) {
+        const steps = toCharacterSteps(combo);
+        const variants = getShortcutVariants(combo, owner);
+        
+        const conflicts = shortcuts.filter(shortcut => {
+            if (!shortcut.combo) return false;
+            
+            const otherVariants = getShortcutVariants(shortcut.combo, parseShortcutId(shortcut.id).owner);
+            return variants.some(variant => otherVariants.some(other => stepsOverlap(variant, other)));
+        });
+        
+        const youtubeAction = YOUTUBE_SHORTCUTS[steps[0]];
+        if (youtubeAction) {
+            conflicts.push({ label: `YouTube: ${youtubeAction}`, combo: steps[0], external: true });
+        }
+        
+        browserCommands.forEach(command => {
+            if (variants.some(variant => variant[0] === command.combo)) {
+                conflicts.push({ label: command.label, combo: command.combo, external: true });
+            }
+        });
+        
+        return conflicts;
+    }
+    
+    /**
+     * Checks whether a shortcut may be set to a combo (or removed with '')
+     * 
+     * @param {string} shortcutId - 'actionId:N' or 'preset:N'
+     * @param {string} combo - The combo to check
+     * @returns {boolean} True if the schema accepts it
+     */
+    function isValidShortcut(shortcutId, combo) {
+        const { owner } = parseShortcutId(shortcutId);
+        
+        if (owner === 'preset') {
+            return settingsSchema.validate('speedPresets', [{ speed: 1, key: combo }]) === null;
+        }
+        return combo === '' || settingsSchema.validate('shortcuts', { [owner]: [{ key: combo }] }) === null;
+    }
+    
+    /**
+     * Saves new combos for one or more shortcuts and redraws their lists
+     * 
+     * An empty combo removes an action's binding; a preset keeps its row
+     * without a shortcut. A binding one past an action's last adds a new one.
+     * 
+     * @param {Object} assignments - Combos keyed by shortcut ID ('actionId:N' or 'preset:N')
+     */
+    function saveShortcuts(assignments) {
+        const settings = {};
+        const changedActions = {};
+        
+        Object.keys(assignments).forEach(shortcutId => {
+            const combo = assignments[shortcutId];
+            const { owner, index } = parseShortcutId(shortcutId);
+            
+            if (owner === 'preset') {
+                speedPresets[index].key = combo;
+                settings.speedPresets = speedPresets;
+                return;
+            }
+            
+            // Removed bindings become null until every assignment is made, so indexes stay put
+            const bindings = changedActions[owner] || actionRegistry.getBindings(shortcuts, owner).slice();
+            const previous = bindings[index];
+            bindings[index] = combo ? { key: combo, global: previous ? previous.global === true : false } : null;
+            changedActions[owner] = bindings;
+        });
+        
+        if (Object.keys(changedActions).length > 0) {
+            shortcuts = { ...shortcuts };
+            Object.keys(changedActions).forEach(actionId => {
+                shortcuts[actionId] = changedActions[actionId].filter(binding => binding);
+            });
+            settings.shortcuts = shortcuts;
+            renderActionList();
+        }
+        
+        if (settings.speedPresets) renderPresets();
+        
+        saveSettings(settings);
+    }
+    
+    /**
+     * Asks what to do with a recorded combo that is already in use
+     * 
+     * Reassign takes the combo and clears it from the other shortcuts (a
+     * YouTube shortcut simply stops working, while a browser-wide shortcut
+     * keeps its key until it is changed in the browser), Swap gives a single other
+     * shortcut this one's previous combo, and Cancel keeps everything as it was.
+     * 
+     * @param {Object} recording - The recorded shortcut:
+     *   button {HTMLButtonElement} - The shortcut's button
+     *   shortcutId {string} - 'actionId:N' or 'preset:N'
+     *   combo {string} - The recorded combo
+     *   previous {string} - The combo it had before
+     *   restore {Function} - Puts the button's previous text back
+     * @param {Array<Object>} conflicts - What the combo clashes with (see findShortcutConflicts)
+     */
+    function showShortcutConflict(recording, conflicts) {
+        dismissShortcutConflict();
+        
+        const panel = elements.shortcutConflict;
+        panel.textContent = '';
+        
+        // Show the choice next to the list the shortcut is in
+        const anchor = recording.button.closest('.channel-list') || recording.button.closest('.shortcuts-grid');
+        if (anchor) anchor.after(panel);
+        
+        const heading = document.createElement('strong');
+        heading.textContent = `${formatKeyCombination(recording.combo)} is already used by:`;
+        panel.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+            item.textContent = `${conflict.label} (${formatKeyCombination(conflict.combo)})`;
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+        
+        const taken = conflicts.filter(conflict => !conflict.external);
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'button-row';
+        
+        const reassign = document.createElement('button');
+        reassign.type = 'button';
+        reassign.textContent = 'Reassign';
+        reassign.addEventListener('click', () => {
+            const assignments = { [recording.shortcutId]: recording.combo };
+            taken.forEach(conflict => {
+                assignments[conflict.id] = '';
+            });
+            hideShortcutConflict();
+            saveShortcuts(assignments);
+        });
+        buttons.appendChild(reassign);
+        
+        // A new binding has no previous combo to swap, so Reassign covers it
+        if (taken.length === 1 && recording.previous) {
+            const other = taken[0];
+            const swap = document.createElement('button');
+            swap.type = 'button';
+            swap.textContent = 'Swap';
+            if (!isValidShortcut(other.id, recording.previous)) {
+                swap.disabled = true;
+                swap.title = `${formatKeyCombination(recording.previous)} can't be used for ${other.label}`;
+            }
+            swap.addEventListener('click', () => {
+                hideShortcutConflict();
+                saveShortcuts({
+                    [recording.shortcutId]: recording.combo,
+                    [other.id]: recording.previous
+                });
+            });
+            buttons.appendChild(swap);
+        }
+        
+        const cancel = document.createElement('button');
+        cancel.type = 'button';
+        cancel.textContent = 'Cancel';
+        cancel.addEventListener('click', dismissShortcutConflict);
+        buttons.appendChild(cancel);
+        
+        panel.appendChild(buttons);
+        panel.hidden = false;
+        restorePendingShortcut = recording.restore;
+    }
+    
+    /**
+     * Hides the shortcut conflict choice
+     */
+    function hideShortcutConflict() {
+        restorePendingShortcut = null;
+        elements.shortcutConflict.hidden = true;
+        elements.shortcutConflict.textContent = '';
+    }
+    
+    /**
+     * Cancels a pending shortcut conflict choice, keeping the previous shortcut
+     */
+    function dismissShortcutConflict() {
+        const restore = restorePendingShortcut;
+        hideShortcutConflict();
+        if (restore) restore();
+    }
+    
+    // -----------------------------------------------------------------------------
+    // KEY BINDING FUNCTIONALITY
+    // -----------------------------------------------------------------------------
+    
+    /**
+     * Renders a row of shortcuts for every action in the registry
+     * 
+     * Each binding has a button to record a new combo, a ✎ button to let it
+     * fire while typing in text fields and a button to remove it. Actions
+     * below the binding limit end with a button to add another shortcut.
+     */
+    function renderActionList() {
+        // A conflict choice for a binding would no longer point at the right row
+        dismissShortcutConflict();
+        
+        const list = elements.actionList;
+        list.textContent = '';
+        
+        actionRegistry.getActions().forEach(action => {
+            const bindings = actionRegistry.getBindings(shortcuts, action.id);
+            const name = action.label.toLowerCase();
+            
+            const label = document.createElement('span');
+            label.className = 'shortcut-label';
+            label.textContent = `${action.label}:`;
+            
+            const rows = document.createElement('div');
+            rows.className = 'binding-list';
+            
+            bindings.forEach((binding, index) => {
+                const row = document.createElement('div');
+                row.className = 'key-row';
+                
+                row.appendChild(createKeyButton(action, index, binding.key, `Set shortcut ${index + 1} for ${name}`));
+                
+                const scopeButton = createIconButton('✎', `Let shortcut ${index + 1} for ${name} work while typing in text fields`, false, () => {
+                    updateBindingScope(action.id, index);
+                });
+                scopeButton.classList.add('scope-btn');
+                scopeButton.title = 'Also work while typing in text fields';
+                scopeButton.setAttribute('aria-pressed', binding.global ? 'true' : 'false');
+                row.appendChild(scopeButton);
+                
+                row.appendChild(createIconButton('✕', `Remove shortcut ${index + 1} for ${name}`, false, () => {
+                    saveShortcuts({ [`${action.id}:${index}`]: '' });
+                }));
+                
+                rows.appendChild(row);
+            });
+            
+            if (bindings.length < actionRegistry.MAX_BINDINGS) {
+                const addButton = createKeyButton(action, bindings.length, '', `Add a shortcut for ${name}`);
+                addButton.classList.add('add-binding-btn');
+                addButton.dataset.placeholder = bindings.length === 0 ? 'Not set' : '+ Add shortcut';
+                addButton.textContent = addButton.dataset.placeholder;
+                rows.appendChild(addButton);
+            }
+            
+            list.appendChild(label);
+            list.appendChild(rows);
+        });
+    }
+    
+    /**
+     * Creates the button that records one of an action's shortcuts
+     * 
+     * @param {Object} action - The action from the registry
+     * @param {number} index - The binding's position (the binding count for a new one)
+     * @param {string} combo - The current combo, or '' for a new binding
+     * @param {string} label - Accessible label for the button
+     * @returns {HTMLButtonElement} The created button
+     */
+    function createKeyButton(action, index, combo, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = formatKeyCombination(combo);
+        button.dataset.combo = combo;
+        button.setAttribute('aria-label', label);
+        
+        // Held shortcuts are recorded as a single key or mouse button
+        if (action.hold) button.dataset.hold = 'true';
+        
+        button.addEventListener('click', () => {
+            handleKeyBinding(button, `${action.id}:${index}`);
+        });
+        return button;
+    }
+    
+    /**
+     * Switches a binding between ignoring and firing while typing in text fields
+     * 
+     * @param {string} actionId - The action, e.g. 'increaseSpeed'
+     * @param {number} index - The binding's position
+     */
+    function updateBindingScope(actionId, index) {
+        const bindings = actionRegistry.getBindings(shortcuts, actionId).map((binding, i) =>
+            i === index ? { ...binding, global: !binding.global } : binding);
+        
+        shortcuts = { ...shortcuts, [actionId]: bindings };
+        renderActionList();
+        saveSettings({ shortcuts: shortcuts });
+    }
+    
+    // Handles key binding for shortcut buttons
+    // button: The button being bound
+    // shortcutId: 'actionId:N' for an action's Nth binding, or 'preset:N' for a preset's shortcut
+    function handleKeyBinding(button, shortcutId) {
+        // A new recording replaces any unanswered conflict choice
+        dismissShortcutConflict();
+        
+        // Clear any other buttons in listening mode
+        document.querySelectorAll('button.listening').forEach(btn => {
+            if (btn !== button) {
+                btn.classList.remove('listening');
+            }
+        });
+        
+        // Mark button as listening
+        button.classList.add('listening');
+        button.textContent = 'Press keys...';
+        
+        // Variables to store key combination
+        let recordTimeout = null;
+        
+        // Combos pressed so far, so several keys in a row record a sequence
+        const recordedKeys = [];
+        
+        // Held shortcuts are a single key or mouse button, never a sequence or the wheel
+        const isHoldShortcut = button.dataset.hold === 'true';
+        
+        // We'll use direct event listeners instead of hotkeys.js for key capture
+        
+        // Function to record key presses
+        function recordKeyPress(e) {
+            const key = e.key.toLowerCase();
+            
+            // Handle ESC to cancel
+            if (key === 'escape') {
+                finishRecording(null);
+                return;
+            }
+            
+            // Handle modifier keys pressed alone
+            if (key === 'shift' || key === 'control' || key === 'alt') {
+                return;
+            }
+            
+            // Use our keyHandler to get a standardized combo, named by
+            // key position when recording physical keys
+            const combo = keyHandler.getComboFromEvent(e, { physical: elements.recordPhysicalKeysToggle.checked });
+            
+            if (combo) {
+                // A held shortcut keeps only the latest key
+                if (isHoldShortcut) recordedKeys.length = 0;
+                
+                recordedKeys.push(combo);
+                const sequence = recordedKeys.join(' ');
+                
+                // Update button text
+                button.textContent = formatKeyCombination(sequence);
+                
+                // Wait for a further key of a sequence (as long as the shortcut
+                // handler would), unless the sequence is already at its longest
+                if (recordTimeout) clearTimeout(recordTimeout);
+                if (isHoldShortcut) {
+                    recordTimeout = setTimeout(() => finishRecording(sequence), 300);
+                } else if (recordedKeys.length >= settingsSchema.MAX_SEQUENCE_LENGTH) {
+                    finishRecording(sequence);
+                } else {
+                    const delay = parseFloat(elements.sequenceTimeoutInput.value) || 1000;
+                    recordTimeout = setTimeout(() => finishRecording(sequence), delay);
+                }
+            }
+            
+            // Prevent default actions
+            e.preventDefault();
+            e.stopPropagation();
+        }
+        
+        // Function to handle mouse wheel input
+        function recordWheel(e) {
+            // Use our keyHandler to get a standardized combo
+            const combo = keyHandler.getComboFromEvent(e);
+            
+            if (combo && isHoldShortcut) {
+                showStatus("The mouse wheel can't be held; press a key or mouse button", true);
+            } else if (combo) {
                 // Update button text
                 button.textContent = formatKeyCombination(combo);
                 
@@ -829,21 +2651,38 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // If no combo was recorded or canceled, restore previous value
             if (!combo) {
-                loadButtonText(button);
+                restoreButton();
                 return;
             }
             
-            // Save the setting
-            const settings = {};
-            settings[settingName] = combo;
-            saveSettings(settings);
-            
             // Update button text with formatted combo
             button.textContent = formatKeyCombination(combo);
             
-            // Add a brief highlight effect
-            button.classList.add('update-animation');
-            setTimeout(() => button.classList.remove('update-animation'), 400);
+            // Save the shortcut, unless the combo is taken and the user has to choose
+            const assigned = getAssignedShortcuts();
+            const own = assigned.find(shortcut => shortcut.id === shortcutId);
+            const others = assigned.filter(shortcut => shortcut !== own);
+            const conflicts = findShortcutConflicts(combo, others, parseShortcutId(shortcutId).owner);
+            
+            if (conflicts.length > 0) {
+                showShortcutConflict({
+                    button: button,
+                    shortcutId: shortcutId,
+                    combo: combo,
+                    previous: own ? own.combo : '',
+                    restore: restoreButton
+                }, conflicts);
+                return;
+            }
+            
+            saveShortcuts({ [shortcutId]: combo });
+        }
+        
+        // Puts the shortcut's saved combo (or the add button's text) back on the button
+        function restoreButton() {
+            button.textContent = button.dataset.combo
+                ? formatKeyCombination(button.dataset.combo)
+                : button.dataset.placeholder || formatKeyCombination('');
         }
         
         // Track if we're still in listening mode
@@ -0,0 +1,637 @@
+/**
+ * Settings Schema - The single definition of the extension's settings
+ *
+ * Lists every setting with its type, default value and validation rule,
+ * so the content scripts, the settings popup and the embed bridge share
+ * one set of defaults. Values read from storage are checked against the
+ * schema and anything corrupt or out of range falls back to its default
+ * before it is used.
+ *
+ * Stored data carries a settingsVersion. When a release changes how a
+ * setting is stored, a migration step is added to MIGRATIONS and stored
+ * settings (and imported files) are upgraded when they are first read.
+ *
+ * @license MIT
+ * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    // Version of the stored settings layout, bumped whenever a migration is added
+    const SETTINGS_VERSION = 2;
+
+    // Range of playback speeds the extension allows; the user narrows it with minSpeed and maxSpeed
+    const MIN_SPEED = 0.05;
+    const MAX_SPEED = 10;
+
+    const POPUP_POSITIONS = ['center', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+    // How increase and decrease move the speed (see getSteppedSpeed in content.js)
+    const STEP_MODES = ['linear', 'multiplicative', 'ladder'];
+
+    // Modifier names used in stored key combos (see getComboFromEvent in keyhandler.js)
+    const COMBO_MODIFIERS = ['shift', 'ctrl', 'alt', 'cmd'];
+
+    // Most key presses in a sequence binding such as 'g 2'
+    const MAX_SEQUENCE_LENGTH = 4;
+
+    /**
+     * Every setting, keyed by its storage name
+     *
+     * type     - 'boolean', 'number', 'string', 'array' or 'object'
+     * default  - Value used when the setting is missing or invalid
+     * validate - Returns an error message, or null if the value is acceptable.
+     *            For arrays and objects it checks a single entry (and gets
+     *            the entry's name for objects).
+     * item     - For arrays and objects, what an entry is called in messages
+     * device   - Device-specific state: never synced, exported or reset
+     */
+    const SETTINGS = {
+        speedIncrement: { type: 'number', default: 0.25, validate: value => checkRange(value, 0.05, 1) },
+        stepMode: { type: 'string', default: 'linear', validate: value => checkOneOf(value, STEP_MODES) },
+        stepMultiplier: { type: 'number', default: 1.1, validate: value => checkRange(value, 1.01, 2) }, // For multiplicative steps
+        fineStep: { type: 'number', default: 0.05, validate: value => checkRange(value, 0.01, 1) }, // Step with Alt held
+        coarseStep: { type: 'number', default: 1, validate: value => checkRange(value, 0.1, 5) }, // Step with Ctrl held
+        speedLadder: { // For ladder steps, in any order
+            type: 'array',
+            item: 'speed',
+            default: [0.5, 0.75, 1, 1.1, 1.25, 1.5, 2, 3, 4],
+            validate: value => checkRange(value, MIN_SPEED, MAX_SPEED)
+        },
+        minSpeed: { type: 'number', default: 0.1, validate: value => checkRange(value, MIN_SPEED, MAX_SPEED) }, // Must be below maxSpeed
+        maxSpeed: { type: 'number', default: MAX_SPEED, validate: value => checkRange(value, MIN_SPEED, MAX_SPEED) },
+        capAudibleSpeed: { type: 'boolean', default: false }, // Keep speed changes out of the range where the browser mutes audio
+        // Bindings of each action in actionregistry.js, keyed by action ID
+        shortcuts: { type: 'object', item: 'action', default: actionRegistry.getDefaultShortcuts(), validate: checkActionBindings },
+        holdBoostSpeed: { type: 'number', default: 2, validate: value => checkRange(value, MIN_SPEED, MAX_SPEED) },
+        enableShortcuts: { type: 'boolean', default: true },
+        sequenceTimeout: { type: 'number', default: 1000, validate: value => checkRange(value, 200, 3000) }, // ms
+        enableCountPrefix: { type: 'boolean', default: false },
+        recordPhysicalKeys: { type: 'boolean', default: false }, // Record new shortcuts by key position
+        persistSpeed: { type: 'boolean', default: false },
+        showResetButton: { type: 'boolean', default: true },
+        enableSpeedPopup: { type: 'boolean', default: true },
+        showInitialSpeedPopup: { type: 'boolean', default: false },
+        popupPosition: { type: 'string', default: 'center', validate: value => checkOneOf(value, POPUP_POSITIONS) },
+        rememberChannelSpeed: { type: 'boolean', default: false },
+        preservePitch: { type: 'boolean', default: true }, // Keep voices at their normal pitch when sped up or slowed down
+        pitchMinSpeed: { type: 'number', default: 0, validate: value => checkRange(value, 0, MAX_SPEED) }, // Only preserve pitch from this speed, 0 = no lower limit
+        pitchMaxSpeed: { type: 'number', default: 0, validate: value => checkRange(value, 0, MAX_SPEED) }, // Only preserve pitch up to this speed, 0 = no upper limit
+        skipSilence: { type: 'boolean', default: false },
+        silenceSpeed: { type: 'number', default: 3, validate: value => checkRange(value, 1, 10) },
+        silenceThreshold: { type: 'number', default: -45, validate: value => checkRange(value, -70, -20) }, // dB
+        silenceDelay: { type: 'number', default: 300, validate: value => checkRange(value, 100, 3000) }, // ms
+        speedPresets: { // Each preset can have its own direct-jump shortcut, optionally global
+            type: 'array',
+            item: 'preset',
+            default: [
+                { speed: 1, key: '' },
+                { speed: 1.5, key: '' },
+                { speed: 2, key: '' },
+                { speed: 3, key: '' }
+            ],
+            validate: checkPreset
+        },
+        enableChapterRules: { type: 'boolean', default: false },
+        chapterRules: { type: 'array', item: 'rule', default: [], validate: checkChapterRule }, // First match wins
+        lastSpeed: { type: 'number', default: 1.0, device: true, validate: value => checkRange(value, MIN_SPEED, MAX_SPEED) },
+        channelSpeeds: { type: 'object', item: 'channel', default: {}, device: true, validate: checkChannelSpeed },
+        syncSettings: { type: 'boolean', default: false, device: true },
+        // Character each physical key types on this device's keyboard layout, by event.code
+        keyLabels: { type: 'object', item: 'key', default: {}, device: true, validate: checkKeyLabel }
+    };
+
+    /**
+     * Steps that upgrade stored settings, oldest first
+     *
+     * Each step receives the settings as stored before its version and
+     * changes them in place. Settings saved before versioning was added
+     * count as version 0.
+     */
+    const MIGRATIONS = [
+        {
+            version: 1,
+            // Early versions could save combos like "Shift+>" that the shortcut
+            // handler never matches, as it compares against lower-case key names
+            migrate(settings) {
+                ['increaseSpeedKey', 'decreaseSpeedKey', 'resetSpeedKey'].forEach(key => {
+                    if (typeof settings[key] === 'string') {
+                        settings[key] = normalizeCombo(settings[key]);
+                    }
+                });
+
+                if (Array.isArray(settings.speedPresets)) {
+                    settings.speedPresets = settings.speedPresets.map(preset =>
+                        preset && typeof preset.key === 'string' ? { ...preset, key: normalizeCombo(preset.key) } : preset);
+                }
+            }
+        },
+        {
+            version: 2,
+            // The increase, decrease and reset shortcut settings became the
+            // shortcuts setting, which can hold several bindings per action. The
+            // old keys stay in storage unused, as the storage wrapper can't remove keys.
+            migrate(settings) {
+                const legacy = {
+                    increaseSpeedKey: { action: 'increaseSpeed', key: 'shift+.' },
+                    decreaseSpeedKey: { action: 'decreaseSpeed', key: 'shift+,' },
+                    resetSpeedKey: { action: 'resetSpeed', key: 'shift+?' }
+                };
+
+                // Nothing customised yet: the new setting's defaults are the same shortcuts
+                if (!Object.keys(legacy).some(name => name in settings)) return;
+
+                // Actions left out (every one added since) get their default bindings
+                const shortcuts = {};
+                Object.keys(legacy).forEach(name => {
+                    const key = typeof settings[name] === 'string' ? settings[name] : legacy[name].key;
+                    shortcuts[legacy[name].action] = key ? [{ key: key, global: false }] : [];
+                    delete settings[name];
+                });
+
+                settings.shortcuts = shortcuts;
+            }
+        }
+    ];
+
+    // -----------------------------------------------------------------------------
+    // DEFAULTS & VALIDATION
+    // -----------------------------------------------------------------------------
+
+    /**
+     * Returns a fresh copy of the default settings
+     * @param {Array<string>} [keys] - Only include these settings (all by default)
+     * @returns {Object} Default values keyed by setting name
+     */
+    function getDefaults(keys) {
+        const defaults = {};
+        (keys || Object.keys(SETTINGS)).forEach(key => {
+            if (SETTINGS[key]) defaults[key] = clone(SETTINGS[key].default);
+        });
+        return defaults;
+    }
+
+    /**
+     * Checks whether a key is a setting defined in the schema
+     * @param {string} key - The storage key
+     * @returns {boolean} True for known settings
+     */
+    function isSetting(key) {
+        return Object.prototype.hasOwnProperty.call(SETTINGS, key);
+    }
+
+    /**
+     * Checks whether a setting is device-specific state
+     * @param {string} key - The setting name
+     * @returns {boolean} True if the setting is never synced, exported or reset
+     */
+    function isDeviceSetting(key) {
+        return isSetting(key) && SETTINGS[key].device === true;
+    }
+
+    /**
+     * Lists the settings that describe the user's preferences
+     * @returns {Array<string>} Every setting that isn't device-specific
+     */
+    function getPreferenceKeys() {
+        return Object.keys(SETTINGS).filter(key => !SETTINGS[key].device);
+    }
+
+    /**
+     * Checks a value against a setting's schema
+     * @param {string} key - The setting name
+     * @param {*} value - The value to check
+     * @returns {string|null} Error message, or null if the value is valid
+     */
+    function validate(key, value) {
+        if (!isSetting(key)) return 'unknown setting';
+
+        const setting = SETTINGS[key];
+        const typeError = checkType(value, setting);
+        if (typeError) return typeError;
+
+        if (!setting.validate) return null;
+
+        if (setting.type === 'array') {
+            for (let i = 0; i < value.length; i++) {
+                const error = setting.validate(value[i]);
+                if (error) return `${setting.item} ${i + 1} ${error}`;
+            }
+            return null;
+        }
+
+        if (setting.type === 'object') {
+            for (const name of Object.keys(value)) {
+                const error = setting.validate(value[name], name);
+                if (error) return `${setting.item} "${name}" ${error}`;
+            }
+            return null;
+        }
+
+        return setting.validate(value);
+    }
+
+    /**
+     * Replaces invalid setting values with their defaults
+     *
+     * Lists and maps keep their valid entries and only drop the broken ones.
+     * Keys that aren't settings (e.g. statistics) are passed through as is.
+     *
+     * @param {Object} settings - Settings as read from storage
+     * @returns {Object} A copy that is safe to use
+     */
+    function sanitize(settings) {
+        const result = { ...settings };
+
+        Object.keys(result).forEach(key => {
+            if (!isSetting(key) || validate(key, result[key]) === null) return;
+
+            const setting = SETTINGS[key];
+            const value = result[key];
+
+            if (setting.type === 'array' && Array.isArray(value)) {
+                result[key] = value.filter(entry => setting.validate(entry) === null);
+            } else if (setting.type === 'object' && checkType(value, setting) === null) {
+                result[key] = {};
+                Object.keys(value).forEach(name => {
+                    if (setting.validate(value[name], name) === null) result[key][name] = value[name];
+                });
+            } else {
+                result[key] = clone(setting.default);
+            }
+
+            console.warn(`YouTube Speed Control: Ignored invalid stored value for ${key}:`, value);
+        });
+
+        return result;
+    }
+
+    /**
+     * Gets the range of speeds the user allows
+     *
+     * validate() checks one setting at a time, so a minimum that isn't below
+     * the maximum can still be stored; the default range is used instead.
+     *
+     * @param {Object} settings - Settings holding minSpeed and maxSpeed
+     * @returns {{min: number, max: number}} The lowest and highest allowed speed
+     */
+    function getSpeedRange(settings) {
+        const min = settings.minSpeed;
+        const max = settings.maxSpeed;
+
+        if (validate('minSpeed', min) || validate('maxSpeed', max) || checkSpeedRange(min, max)) {
+            return { min: SETTINGS.minSpeed.default, max: SETTINGS.maxSpeed.default };
+        }
+
+        return { min: min, max: max };
+    }
+
+    // -----------------------------------------------------------------------------
+    // MIGRATION
+    // -----------------------------------------------------------------------------
+
+    /**
+     * Upgrades settings saved by an older version of the extension
+     * @param {Object} settings - The stored settings
+     * @param {number} fromVersion - The settingsVersion they were saved with
+     * @returns {Object} An upgraded copy of the settings
+     */
+    function upgrade(settings, fromVersion) {
+        const result = clone(settings);
+
+        MIGRATIONS.forEach(step => {
+            if (step.version > fromVersion) step.migrate(result);
+        });
+
+        return result;
+    }
+
+    /**
+     * Works out what has to be written to bring stored settings up to date
+     * @param {Object} stored - Everything in the storage area
+     * @returns {Object|null} Changed values plus the new settingsVersion, or
+     *                        null if the settings are already current
+     */
+    function getMigrationChanges(stored) {
+        const fromVersion = Number.isInteger(stored.settingsVersion) ? stored.settingsVersion : 0;
+        if (fromVersion >= SETTINGS_VERSION) return null;
+
+        const upgraded = upgrade(stored, fromVersion);
+        const changes = { settingsVersion: SETTINGS_VERSION };
+
+        Object.keys(upgraded).forEach(key => {
+            if (JSON.stringify(upgraded[key]) !== JSON.stringify(stored[key])) {
+                changes[key] = upgraded[key];
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Converts a key combo to the form getComboFromEvent produces
+     * @param {string} combo - A combo such as "Shift+>"
+     * @returns {string} The normalized combo, e.g. "shift+."
+     */
+    function normalizeCombo(combo) {
+        if (!combo) return combo;
+
+        // Split by hand so that "shift++" keeps its "+" key
+        const parts = combo.split('+');
+        const keys = parts.length > 1 && parts[parts.length - 1] === ''
+            ? [...parts.slice(0, -2), '+']
+            : parts;
+
+        return keys.map(key => {
+            const name = key.trim().toLowerCase();
+            if (name === 'control') return 'ctrl';
+            if (name === 'command' || name === 'meta') return 'cmd';
+            if (name === 'option') return 'alt';
+            if (name === '>') return '.';
+            if (name === '<') return ',';
+            if (name === '' && key === ' ') return 'space';
+            return name;
+        }).join('+');
+    }
+
+    // -----------------------------------------------------------------------------
+    // VALUE CHECKS
+    // -----------------------------------------------------------------------------
+
+    /**
+     * Checks that a value has a setting's type
+     * @param {*} value - The value to check
+     * @param {Object} setting - The setting's schema entry
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkType(value, setting) {
+        switch (setting.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'number':
+                return typeof value === 'number' && isFinite(value) ? null : 'must be a number';
+            case 'string':
+                return typeof value === 'string' ? null : 'must be text';
+            case 'array':
+                return Array.isArray(value) ? null : `must be a list of ${setting.item}s`;
+            case 'object':
+                return value && typeof value === 'object' && !Array.isArray(value)
+                    ? null : `must be a map of ${setting.item}s`;
+        }
+        return null;
+    }
+
+    /**
+     * Checks that a number is within a range
+     * @param {number} value - The value to check
+     * @param {number} min - Minimum allowed value
+     * @param {number} max - Maximum allowed value
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkRange(value, min, max) {
+        if (typeof value !== 'number' || !isFinite(value)) return 'must be a number';
+        if (value < min || value > max) return `must be between ${min} and ${max} (got ${value})`;
+        return null;
+    }
+
+    /**
+     * Checks that a value is one of a fixed set of options
+     * @param {*} value - The value to check
+     * @param {Array} options - The allowed values
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkOneOf(value, options) {
+        return options.includes(value) ? null : `must be one of ${options.join(', ')}`;
+    }
+
+    /**
+     * Checks that a value is a shortcut the shortcut handler understands
+     *
+     * A shortcut is one combo, or a sequence of up to MAX_SEQUENCE_LENGTH
+     * keyboard combos separated by spaces, e.g. "g 2".
+     *
+     * @param {*} value - The value to check
+     * @param {boolean} allowEmpty - Whether an empty string (no shortcut) is allowed
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkBinding(value, allowEmpty) {
+        if (typeof value !== 'string') return 'must be a key combination string';
+        if (value === '') return allowEmpty ? null : 'a shortcut is required';
+
+        const steps = value.split(' ');
+        if (steps.length === 1) return checkCombo(value);
+
+        if (steps.length > MAX_SEQUENCE_LENGTH) {
+            return `"${value}" is longer than ${MAX_SEQUENCE_LENGTH} keys`;
+        }
+
+        for (const step of steps) {
+            if (step === '') return `"${value}" has an extra space between its keys`;
+
+            const error = checkCombo(step);
+            if (error) return error;
+
+            if (/(^|\+)(wheel_up|wheel_down|middle_click|mouse\d+)$/.test(step)) {
+                return `"${value}" uses the mouse, which can't be part of a key sequence`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks a shortcut that is held down rather than pressed
+     *
+     * Only a single key or mouse button can be held, so sequences and wheel
+     * movements aren't allowed.
+     *
+     * @param {*} value - The value to check
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkHoldBinding(value) {
+        const error = checkBinding(value, true);
+        if (error) return error;
+
+        if (value.includes(' ')) return `"${value}" is a key sequence, which can't be held`;
+        if (/(^|\+)wheel_(up|down)$/.test(value)) return `"${value}" is a wheel movement, which can't be held`;
+
+        return null;
+    }
+
+    /**
+     * Checks the shortcuts bound to one action
+     * @param {*} bindings - The action's list of { key, global } bindings
+     * @param {string} actionId - The action's ID (see actionregistry.js)
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkActionBindings(bindings, actionId) {
+        const action = actionRegistry.getAction(actionId);
+        if (!action) return 'is not a known action';
+        if (!Array.isArray(bindings)) return 'must be a list of shortcuts';
+
+        if (bindings.length > actionRegistry.MAX_BINDINGS) {
+            return `has more than ${actionRegistry.MAX_BINDINGS} shortcuts`;
+        }
+
+        for (let i = 0; i < bindings.length; i++) {
+            const binding = bindings[i];
+            if (!binding || typeof binding !== 'object') return `shortcut ${i + 1} is not a shortcut`;
+
+            const keyError = checkBinding(binding.key, false) || (action.hold ? checkHoldBinding(binding.key) : null);
+            if (keyError) return `shortcut ${i + 1} ${keyError}`;
+
+            if (binding.global !== undefined && typeof binding.global !== 'boolean') {
+                return `shortcut ${i + 1} global must be true or false`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks a single combo: modifiers followed by one key, joined with "+",
+     * e.g. "shift+." or "ctrl+wheel_up"
+     *
+     * @param {string} value - The combo to check
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkCombo(value) {
+        const keys = value.split('+');
+        const key = keys.pop();
+
+        if (!key || COMBO_MODIFIERS.includes(key)) {
+            return `"${value}" has no key after its modifiers`;
+        }
+
+        // Physical keys keep their event.code name, e.g. 'code:Period'
+        if (key.length > 1 && !/^[a-z][a-z0-9_]*$/.test(key) && !/^code:[A-Z][A-Za-z0-9]*$/.test(key)) {
+            return `"${value}" has an unknown key "${key}"`;
+        }
+
+        const unknownModifier = keys.find(modifier => !COMBO_MODIFIERS.includes(modifier));
+        if (unknownModifier !== undefined) {
+            return `"${value}" has an unknown modifier "${unknownModifier}"`;
+        }
+
+        if (new Set(keys).size !== keys.length) {
+            return `"${value}" repeats a modifier`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks that a minimum speed is below a maximum speed
+     * @param {number} min - The minSpeed value
+     * @param {number} max - The maxSpeed value
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkSpeedRange(min, max) {
+        return min < max ? null : 'minimum speed must be below the maximum speed';
+    }
+
+    /**
+     * Checks a single speed preset
+     * @param {*} preset - The preset to check
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkPreset(preset) {
+        if (!preset || typeof preset !== 'object') return 'is not a preset';
+
+        const speedError = checkRange(preset.speed, MIN_SPEED, MAX_SPEED);
+        if (speedError) return `speed ${speedError}`;
+
+        const keyError = checkBinding(preset.key, true);
+        if (keyError) return `shortcut ${keyError}`;
+
+        if (preset.global !== undefined && typeof preset.global !== 'boolean') {
+            return 'global must be true or false';
+        }
+
+        return null;
+    }
+
+    /**
+     * Checks a single chapter speed rule
+     * @param {*} rule - The rule to check
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkChapterRule(rule) {
+        if (!rule || typeof rule !== 'object') return 'is not a rule';
+
+        if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+            return 'needs a chapter title to match';
+        }
+
+        if (typeof rule.isRegex !== 'boolean') return 'isRegex must be true or false';
+
+        if (rule.isRegex) {
+            try {
+                new RegExp(rule.pattern, 'i');
+            } catch (e) {
+                return `has an invalid regular expression: ${e.message}`;
+            }
+        }
+
+        const speedError = checkRange(rule.speed, MIN_SPEED, MAX_SPEED);
+        if (speedError) return `speed ${speedError}`;
+
+        return null;
+    }
+
+    /**
+     * Checks a single remembered channel speed
+     * @param {*} entry - The { name, speed } entry to check
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkChannelSpeed(entry) {
+        if (!entry || typeof entry !== 'object') return 'is not a channel speed';
+        if (typeof entry.name !== 'string') return 'has no name';
+
+        const speedError = checkRange(entry.speed, MIN_SPEED, MAX_SPEED);
+        if (speedError) return `speed ${speedError}`;
+
+        return null;
+    }
+
+    /**
+     * Checks the character remembered for a physical key
+     * @param {*} label - The label to check
+     * @returns {string|null} Error message, or null if valid
+     */
+    function checkKeyLabel(label) {
+        if (typeof label !== 'string' || [...label].length !== 1) return 'is not a single character';
+        return null;
+    }
+
+    /**
+     * Deep-copies a JSON-compatible value
+     * @param {*} value - The value to copy
+     * @returns {*} The copy
+     */
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // Public API
+    window.settingsSchema = {
+        SETTINGS_VERSION: SETTINGS_VERSION,
+        MAX_SEQUENCE_LENGTH: MAX_SEQUENCE_LENGTH,
+        MIN_SPEED: MIN_SPEED,
+        MAX_SPEED: MAX_SPEED,
+        POPUP_POSITIONS: POPUP_POSITIONS,
+        STEP_MODES: STEP_MODES,
+        getDefaults: getDefaults,
+        isSetting: isSetting,
+        isDeviceSetting: isDeviceSetting,
+        getPreferenceKeys: getPreferenceKeys,
+        validate: validate,
+        sanitize: sanitize,
+        getSpeedRange: getSpeedRange,
+        checkSpeedRange: checkSpeedRange,
+        upgrade: upgrade,
+        getMigrationChanges: getMigrationChanges
+    };
+
+})(window);
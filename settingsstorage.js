@@ -0,0 +1,275 @@
+/**
+ * Settings Storage - Where the extension's preferences are kept
+ *
+ * Preferences normally live in storage.local. With the opt-in "Sync settings"
+ * mode they are also written to storage.sync, so every browser signed in to
+ * the same account shares them. Device-specific state (the last speed,
+ * channel speeds and statistics) always stays local.
+ *
+ * Each setting is stored under its own key, so edits to different settings
+ * on two devices merge cleanly and edits to the same setting resolve to the
+ * most recent one. Synced settings are also kept in storage.local, so turning
+ * sync off, or sync being unavailable, leaves the device's settings intact.
+ * A failed sync write (e.g. over the sync quota or write rate) is recorded
+ * locally, so the settings popup can tell the user and offer to retry.
+ *
+ * Stored settings are upgraded to the current settingsSchema version before
+ * the first read or write, in storage.sync too while syncing, and every value
+ * read is checked against the schema, so callers never see a corrupt setting.
+ *
+ * @license MIT
+ * @version 1.0
+ */
+
+(function(window) {
+    'use strict';
+
+    // Pending or finished upgrade of the stored settings (see migrate)
+    let migration = null;
+
+    // storage.local key of the last failed sync write, shown in the settings popup
+    const SYNC_ERROR_KEY = 'syncError';
+
+    /**
+     * Checks whether a setting is shared through storage.sync
+     *
+     * Device-specific settings (the sync switch itself, the last speed and
+     * channel speeds) and data that isn't a setting, such as statistics,
+     * always stay local.
+     *
+     * @param {string} key - The setting name
+     * @returns {boolean} True if the setting is synced when sync is enabled
+     */
+    function isSyncedKey(key) {
+        return settingsSchema.isSetting(key) && !settingsSchema.isDeviceSetting(key);
+    }
+
+    /**
+     * Upgrades the settings in one storage area to the current schema version
+     *
+     * Each area keeps its own settingsVersion, as synced settings may have
+     * been saved by an older version of the extension on another device.
+     *
+     * @param {string} areaName - 'local' or 'sync'
+     * @returns {Promise<void>} Resolves when the area is up to date
+     */
+    function migrateArea(areaName) {
+        const area = browser.storage[areaName];
+
+        return area.get(null)
+            .then(stored => {
+                const changes = settingsSchema.getMigrationChanges(stored);
+                if (!changes) return;
+
+                console.log(`YouTube Speed Control: Upgrading ${areaName} settings to version ${changes.settingsVersion}`);
+                return area.set(changes);
+            });
+    }
+
+    /**
+     * Upgrades this device's stored settings, and the synced ones when syncing
+     * is enabled, to the current schema version
+     *
+     * Runs once per page; reads and writes wait for it to finish.
+     *
+     * @returns {Promise<void>} Resolves when the settings are up to date
+     */
+    function migrate() {
+        if (!migration) {
+            migration = migrateArea('local')
+                .then(() => isSyncEnabled())
+                .then(syncEnabled => {
+                    if (syncEnabled) return migrateArea('sync');
+                })
+                .catch(error => {
+                    console.error('YouTube Speed Control: Could not upgrade stored settings:', error);
+                });
+        }
+        return migration;
+    }
+
+    /**
+     * Picks the synced settings out of a settings object
+     * @param {Object} items - Settings keyed by name
+     * @returns {Object} Only the settings that are shared through sync
+     */
+    function pickSynced(items) {
+        const synced = {};
+        Object.keys(items).forEach(key => {
+            if (isSyncedKey(key)) synced[key] = items[key];
+        });
+        return synced;
+    }
+
+    /**
+     * Converts a storage.get() argument into the synced keys to read
+     *
+     * Defaults are dropped: the local values (or their defaults) are used
+     * for any setting that hasn't been synced yet.
+     *
+     * @param {string|Array<string>|Object|null} keys - Keys as passed to get()
+     * @returns {Array<string>|null} The synced keys, or null for all of them
+     */
+    function toSyncKeys(keys) {
+        if (keys === null || keys === undefined) return null;
+
+        let names;
+        if (typeof keys === 'string') {
+            names = [keys];
+        } else if (Array.isArray(keys)) {
+            names = keys;
+        } else {
+            names = Object.keys(keys);
+        }
+
+        return names.filter(isSyncedKey);
+    }
+
+    /**
+     * Checks whether this device has opted in to syncing settings
+     * @returns {Promise<boolean>} True if sync is enabled
+     */
+    function isSyncEnabled() {
+        return browser.storage.local.get({ syncSettings: false })
+            .then(result => result.syncSettings === true);
+    }
+
+    /**
+     * Reads settings, from storage.sync when syncing is enabled
+     *
+     * Takes the same argument as storage.local.get(): a key, a list of keys,
+     * an object of defaults, or nothing for everything. Invalid values are
+     * replaced with their defaults (see settingsSchema.sanitize).
+     *
+     * @param {string|Array<string>|Object} [keys] - The settings to read
+     * @returns {Promise<Object>} The settings keyed by name
+     */
+    function get(keys) {
+        return migrate()
+            .then(() => Promise.all([browser.storage.local.get(keys), isSyncEnabled()]))
+            .then(([localValues, syncEnabled]) => {
+                if (!syncEnabled) return localValues;
+
+                const syncKeys = toSyncKeys(keys);
+                if (syncKeys && syncKeys.length === 0) return localValues;
+
+                return browser.storage.sync.get(syncKeys)
+                    .then(syncValues => ({ ...localValues, ...pickSynced(syncValues) }))
+                    .catch(error => {
+                        console.warn('YouTube Speed Control: Could not read synced settings, using local ones:', error);
+                        return localValues;
+                    });
+            })
+            .then(settingsSchema.sanitize);
+    }
+
+    /**
+     * Saves settings locally and, when syncing is enabled, to storage.sync
+     *
+     * A failed sync write doesn't reject, as the settings are still saved on
+     * this device; it's recorded for the settings popup instead (see getSyncError).
+     *
+     * @param {Object} items - Settings keyed by name
+     * @returns {Promise<void>} Rejects if the local write fails
+     */
+    function set(items) {
+        return migrate()
+            .then(() => browser.storage.local.set(items))
+            .then(() => isSyncEnabled())
+            .then(syncEnabled => {
+                const synced = pickSynced(items);
+                if (!syncEnabled || Object.keys(synced).length === 0) return;
+
+                return browser.storage.sync.set(synced).then(clearSyncError, recordSyncError);
+            });
+    }
+
+    /**
+     * Reads the last failed sync write, if it hasn't succeeded since
+     * @returns {Promise<Object|null>} { message, time }, or null
+     */
+    function getSyncError() {
+        return browser.storage.local.get({ [SYNC_ERROR_KEY]: null })
+            .then(result => result[SYNC_ERROR_KEY]);
+    }
+
+    /**
+     * Records a failed sync write so the settings popup can show it
+     * @param {Error} error - Why storage.sync rejected the write
+     * @returns {Promise<void>}
+     */
+    function recordSyncError(error) {
+        console.warn('YouTube Speed Control: Could not sync settings, they are saved on this device only:', error);
+
+        const message = (error && error.message) || String(error);
+        return browser.storage.local.set({ [SYNC_ERROR_KEY]: { message: message, time: Date.now() } });
+    }
+
+    /**
+     * Forgets the last failed sync write once settings sync again
+     * @returns {Promise<void>}
+     */
+    function clearSyncError() {
+        return getSyncError().then(syncError => {
+            if (syncError) return browser.storage.local.set({ [SYNC_ERROR_KEY]: null });
+        });
+    }
+
+    /**
+     * Lists the settings whose synced value differs from this device's
+     *
+     * Used when turning sync on, to let the user choose which side wins.
+     *
+     * @returns {Promise<Array<string>>} Names of the conflicting settings
+     */
+    function findSyncConflicts() {
+        return Promise.all([browser.storage.local.get(null), browser.storage.sync.get(null)])
+            .then(([localValues, syncValues]) => Object.keys(pickSynced(syncValues)).filter(key =>
+                key in localValues && JSON.stringify(localValues[key]) !== JSON.stringify(syncValues[key])));
+    }
+
+    /**
+     * Turns sync on for this device
+     * @param {string} source - 'device' to upload this device's settings, or
+     *                          'sync' to replace them with the synced ones
+     * @returns {Promise<void>}
+     */
+    function enableSync(source) {
+        // Bring the synced settings up to date first, so older ones aren't dropped as unknown
+        const copy = () => source === 'sync'
+            ? browser.storage.sync.get(null).then(syncValues => browser.storage.local.set(pickSynced(syncValues)))
+            : browser.storage.local.get(null).then(localValues => browser.storage.sync.set(pickSynced(localValues)));
+
+        return migrate()
+            .then(() => migrateArea('sync'))
+            .then(copy)
+            .then(() => browser.storage.local.set({ syncSettings: true, [SYNC_ERROR_KEY]: null }));
+    }
+
+    /**
+     * Turns sync off for this device, keeping the latest synced settings locally
+     * @returns {Promise<void>}
+     */
+    function disableSync() {
+        return browser.storage.sync.get(null)
+            .then(syncValues => browser.storage.local.set({ ...pickSynced(syncValues), syncSettings: false, [SYNC_ERROR_KEY]: null }))
+            .catch(error => {
+                console.warn('YouTube Speed Control: Could not read synced settings, keeping local ones:', error);
+                return browser.storage.local.set({ syncSettings: false, [SYNC_ERROR_KEY]: null });
+            });
+    }
+
+    // Public API
+    window.settingsStorage = {
+        SYNC_ERROR_KEY: SYNC_ERROR_KEY,
+        get: get,
+        set: set,
+        isSyncEnabled: isSyncEnabled,
+        getSyncError: getSyncError,
+        isSyncedKey: isSyncedKey,
+        findSyncConflicts: findSyncConflicts,
+        enableSync: enableSync,
+        disableSync: disableSync
+    };
+
+})(window);